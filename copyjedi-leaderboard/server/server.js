@@ -3,14 +3,186 @@ const express = require("express");
 const cors = require("cors");
 const mongoose = require("mongoose");
 const path = require("path");
+const crypto = require("crypto");
 const rateLimit = require("express-rate-limit");
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Database connection
-mongoose.connect(process.env.MONGODB_URI, {
-  serverSelectionTimeoutMS: 30000, // Increase timeout to 30 seconds
-  socketTimeoutMS: 45000,
+// Prometheus metrics, kept in memory and served as text on /metrics
+const HTTP_DURATION_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+const MONGOOSE_STATES = [
+  "disconnected",
+  "connected",
+  "connecting",
+  "disconnecting",
+];
+
+const metrics = [];
+
+function defineMetric(name, type, help, collect) {
+  const metric = { name, type, help, series: new Map(), collect };
+  metrics.push(metric);
+  return metric;
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function incrementCounter(metric, labels = {}, amount = 1) {
+  const key = formatLabels(labels);
+  const series = metric.series.get(key) || { labels, value: 0 };
+  series.value += amount;
+  metric.series.set(key, series);
+}
+
+function observeHistogram(metric, labels, value) {
+  const key = formatLabels(labels);
+  const series = metric.series.get(key) || {
+    labels,
+    buckets: HTTP_DURATION_BUCKETS.map(() => 0),
+    sum: 0,
+    count: 0,
+  };
+  HTTP_DURATION_BUCKETS.forEach((bound, i) => {
+    if (value <= bound) series.buckets[i]++;
+  });
+  series.sum += value;
+  series.count++;
+  metric.series.set(key, series);
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    // Gauges are read when scraped
+    const series = metric.collect
+      ? metric.collect().map(([labels, value]) => ({ labels, value }))
+      : [...metric.series.values()];
+
+    for (const { labels, value, buckets, sum, count } of series) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        continue;
+      }
+      HTTP_DURATION_BUCKETS.forEach((bound, i) => {
+        lines.push(
+          `${metric.name}_bucket${formatLabels({
+            ...labels,
+            le: bound,
+          })} ${buckets[i]}`
+        );
+      });
+      lines.push(
+        `${metric.name}_bucket${formatLabels({
+          ...labels,
+          le: "+Inf",
+        })} ${count}`
+      );
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+const httpRequestsTotal = defineMetric(
+  "copyjedi_http_requests_total",
+  "counter",
+  "HTTP requests by method, route and status code"
+);
+const httpRequestDuration = defineMetric(
+  "copyjedi_http_request_duration_seconds",
+  "histogram",
+  "HTTP request latency by method and route"
+);
+const submissionsTotal = defineMetric(
+  "copyjedi_submissions_total",
+  "counter",
+  "Stat submissions by endpoint and result (accepted, quarantined, rejected, error)"
+);
+const deltasTotal = defineMetric(
+  "copyjedi_deltas_total",
+  "counter",
+  "Submitted deltas by result (applied, duplicate or quarantined)"
+);
+const dbErrorsTotal = defineMetric(
+  "copyjedi_db_errors_total",
+  "counter",
+  "Failed database operations and connection errors"
+);
+defineMetric(
+  "copyjedi_db_connection_state",
+  "gauge",
+  "1 for the current mongoose connection state",
+  () =>
+    MONGOOSE_STATES.map((state, i) => [
+      { state },
+      mongoose.connection.readyState === i ? 1 : 0,
+    ])
+);
+defineMetric(
+  "copyjedi_live_subscribers",
+  "gauge",
+  "Open live update connections",
+  () => [[{}, liveSubscribers.size]]
+);
+defineMetric(
+  "process_resident_memory_bytes",
+  "gauge",
+  "Resident memory size in bytes",
+  () => [[{}, process.memoryUsage().rss]]
+);
+defineMetric(
+  "process_uptime_seconds",
+  "gauge",
+  "Seconds since the server started",
+  () => [[{}, Math.round(process.uptime())]]
+);
+
+// Submissions are counted by what the route answered
+const SUBMIT_ROUTES = {
+  "/api/submit": "v1",
+  "/api/v2/submit": "v2",
+};
+
+// Count every failed query, aggregate and save, whichever route ran it.
+// Added before the models are compiled so all of them get it.
+const DB_OPERATIONS = [
+  "aggregate",
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "save",
+  "updateMany",
+  "updateOne",
+];
+mongoose.plugin((schema) => {
+  for (const operation of DB_OPERATIONS) {
+    schema.post(operation, function (error, result, next) {
+      incrementCounter(dbErrorsTotal, { operation });
+      next(error);
+    });
+  }
+});
+mongoose.connection.on("error", (error) => {
+  console.error("MongoDB connection error:", error);
+  incrementCounter(dbErrorsTotal, { operation: "connection" });
 });
 
 // Define schema for user paste statistics
@@ -28,11 +200,42 @@ const PasteStatsSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Pastes left (nearly) unchanged vs. pastes that were reworked afterwards
+  keptPastes: {
+    type: Number,
+    default: 0,
+  },
+  adaptedPastes: {
+    type: Number,
+    default: 0,
+  },
+  // Characters pasted vs. typed by hand, and the pasted share of both
+  totalCharsPasted: {
+    type: Number,
+    default: 0,
+  },
+  typedChars: {
+    type: Number,
+    default: 0,
+  },
+  typedLines: {
+    type: Number,
+    default: 0,
+  },
+  pasteRatio: {
+    type: Number,
+    default: 0,
+  },
   dailyStats: [
     {
       date: String,
       pastes: Number,
       lines: Number,
+      keptPastes: Number,
+      adaptedPastes: Number,
+      pastedChars: Number,
+      typedChars: Number,
+      typedLines: Number,
     },
   ],
   lastActive: {
@@ -43,12 +246,894 @@ const PasteStatsSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Lower-cased username, so names are unique regardless of case
+  usernameKey: {
+    type: String,
+    index: { unique: true, sparse: true },
+  },
   os: String,
   vsCodeVersion: String,
+  // Set when a submission broke a plausibility rule. Flagged users are left
+  // off the leaderboard until a moderator has reviewed them.
+  flagged: {
+    type: Boolean,
+    default: false,
+  },
+  flaggedAt: Date,
+  // Banned users are left off the leaderboard and can't submit stats
+  banned: {
+    type: Boolean,
+    default: false,
+  },
+  bannedAt: Date,
+  banReason: String,
+  // "anonymous" users share their totals only: no name, OS or devices are
+  // shown anywhere
+  sharing: {
+    type: String,
+    enum: ["anonymous", "full"],
+    default: "full",
+  },
+  // Machines linked to this account, each with its own secret token
+  devices: [
+    {
+      deviceId: String,
+      name: String,
+      os: String,
+      // SHA-256 of the device's token, never sent back out
+      tokenHash: {
+        type: String,
+        select: false,
+      },
+      totalPastes: {
+        type: Number,
+        default: 0,
+      },
+      totalLinesPasted: {
+        type: Number,
+        default: 0,
+      },
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      lastActive: Date,
+    },
+  ],
 });
+// Period leaderboards look for users active on days in a range
+PasteStatsSchema.index({ "dailyStats.date": 1 });
+
+// Share of all characters written that came from pastes, 0 to 1
+function calculatePasteRatio(pastedChars, typedChars) {
+  const total = pastedChars + typedChars;
+  return total > 0 ? pastedChars / total : 0;
+}
 
 const PasteStats = mongoose.model("PasteStats", PasteStatsSchema);
 
+// Tokens are only stored as a hash
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function tokenMatches(token, tokenHash) {
+  const actual = Buffer.from(hashToken(token), "hex");
+  const expected = Buffer.from(tokenHash, "hex");
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+// A new device entry with a fresh token. The token itself is only handed
+// to the device.
+function newDevice({ name, os }) {
+  const token = generateToken();
+  return {
+    token,
+    device: {
+      deviceId: crypto.randomUUID(),
+      name: typeof name === "string" && name ? name.slice(0, 60) : "Unnamed",
+      os: typeof os === "string" ? os.slice(0, 20) : undefined,
+      tokenHash: hashToken(token),
+      linkedAt: new Date(),
+    },
+  };
+}
+
+function readBearerToken(req) {
+  const match = /^Bearer (\S+)$/.exec(req.get("Authorization") || "");
+  return match ? match[1] : null;
+}
+
+// The device of userId the token belongs to, or null
+async function findDeviceByToken(userId, token) {
+  if (typeof userId !== "string" || !token) return null;
+
+  const userStats = await PasteStats.findOne({ userId })
+    .select("devices.deviceId +devices.tokenHash")
+    .lean();
+  if (!userStats) return null;
+
+  return (
+    userStats.devices.find(
+      (device) => device.tokenHash && tokenMatches(token, device.tokenHash)
+    ) || null
+  );
+}
+
+// Write routes need the token one of the user's devices was issued, sent as
+// "Authorization: Bearer <token>". The device is passed on as req.deviceId.
+async function requireUserToken(req, res, next) {
+  try {
+    const userId = req.params.userId || (req.body && req.body.userId);
+    const token = readBearerToken(req);
+
+    if (typeof userId !== "string" || !token) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const device = await findDeviceByToken(userId, token);
+    if (!device) {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+
+    req.deviceId = device.deviceId;
+    next();
+  } catch (error) {
+    console.error("Error checking token:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// Banned users can still see and delete their data, but not add to it.
+// Runs after requireUserToken.
+async function refuseBanned(req, res, next) {
+  try {
+    const userId = req.params.userId || req.body.userId;
+    if (await PasteStats.exists({ userId, banned: true })) {
+      return res
+        .status(403)
+        .json({ error: "This account is banned from the leaderboard" });
+    }
+    next();
+  } catch (error) {
+    console.error("Error checking ban:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// User IDs are never shown to others, lists carry this stand-in instead.
+// PUBLIC_ID_SECRET keeps it the same across restarts and is required in
+// production. Elsewhere a secret per process will do.
+const PUBLIC_ID_SECRET =
+  process.env.PUBLIC_ID_SECRET || crypto.randomBytes(32).toString("hex");
+
+function publicId(userId) {
+  return crypto
+    .createHmac("sha256", PUBLIC_ID_SECRET)
+    .update(userId)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// What others get to see of a user. Anonymous users are listed with their
+// totals only.
+function publicProfile(userStats) {
+  const { sharing, userId, ...rest } = userStats;
+  const profile = userId ? { id: publicId(userId), ...rest } : rest;
+  if (sharing !== "anonymous") return profile;
+
+  delete profile.username;
+  delete profile.os;
+  delete profile.devices;
+  return { ...profile, anonymous: true };
+}
+
+// Name to show for a public profile. Users without a (shared) name are told
+// apart by the end of their public ID, as in the extension.
+function displayName(profile) {
+  return profile.username || `Anonymous Jedi ${profile.id.slice(-4)}`;
+}
+
+// User IDs are random UUIDs. Older versions made up shorter ones.
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Public names: 3 to 20 letters, digits, "_" or "-", starting with a letter
+// or digit
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 20;
+// Names that could pass for the service or its staff
+const RESERVED_USERNAMES = ["admin", "administrator", "moderator", "copyjedi"];
+// Matched anywhere in a name, after undoing common letter swaps. More words
+// can be added with USERNAME_BLOCKLIST, separated by commas.
+const USERNAME_BLOCKLIST = [
+  "fuck",
+  "shit",
+  "cunt",
+  "bitch",
+  "bastard",
+  "pussy",
+  "whore",
+  "slut",
+  "nigg",
+  "fagg",
+  "retard",
+  "twat",
+  "wank",
+  ...(process.env.USERNAME_BLOCKLIST || "")
+    .split(",")
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean),
+];
+const LEET_LETTERS = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+  8: "b",
+};
+
+// Why a name can't be used, or null if it can (apart from being taken)
+function usernameProblem(username) {
+  if (typeof username !== "string" || !username.trim()) {
+    return "Enter a name";
+  }
+
+  const name = username.trim();
+  if (name.length < USERNAME_MIN_LENGTH || name.length > USERNAME_MAX_LENGTH) {
+    return `Names must be ${USERNAME_MIN_LENGTH} to ${USERNAME_MAX_LENGTH} characters long`;
+  }
+  if (!USERNAME_PATTERN.test(name)) {
+    return 'Names can only contain letters, digits, "_" and "-", and must start with a letter or digit';
+  }
+
+  const key = name.toLowerCase();
+  if (RESERVED_USERNAMES.includes(key) || key.startsWith("anonymous")) {
+    return "That name is reserved";
+  }
+
+  const plain = key
+    .replace(/[0-9]/g, (digit) => LEET_LETTERS[digit] || digit)
+    .replace(/[_-]/g, "");
+  if (USERNAME_BLOCKLIST.some((word) => plain.includes(word))) {
+    return "That name isn't allowed";
+  }
+
+  return null;
+}
+
+// Whether someone other than userId already uses the name, in any case.
+// Names from before usernameKey existed are compared case-insensitively.
+async function isUsernameTaken(username, userId) {
+  const taken = await PasteStats.exists({
+    userId: { $ne: userId },
+    $or: [{ usernameKey: username.toLowerCase() }, { username }],
+  }).collation({ locale: "en", strength: 2 });
+  return Boolean(taken);
+}
+
+// Pairing codes a signed-in device hands out, so another device can join its
+// account. Codes are single use and expire on their own.
+const PairingCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+});
+
+const PairingCode = mongoose.model("PairingCode", PairingCodeSchema);
+
+const PAIRING_CODE_TTL_MS = 10 * 60 * 1000;
+// No 0/O or 1/I, so codes can be read out and typed without mistakes
+const PAIRING_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const PAIRING_CODE_LENGTH = 8;
+
+function generatePairingCode() {
+  return Array.from(
+    crypto.randomBytes(PAIRING_CODE_LENGTH),
+    (byte) => PAIRING_CODE_ALPHABET[byte % PAIRING_CODE_ALPHABET.length]
+  ).join("");
+}
+
+// Accept codes typed in lower case or with the dash they are shown with
+function normalizePairingCode(code) {
+  return typeof code === "string"
+    ? code.toUpperCase().replace(/[^A-Z0-9]/g, "")
+    : "";
+}
+
+// Deltas can go back this many days, no further than the daily stats kept
+const MAX_DELTA_AGE_DAYS = 365;
+
+// Keys of the deltas /api/v2/submit has applied, so a delta that is sent
+// again (a retry, a replayed queue) is only counted once
+const AppliedDeltaSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  // Kept until the delta's day is too old to be accepted again. That day
+  // is accepted until it ends MAX_DELTA_AGE_DAYS later, and can be a day
+  // ahead of when the delta was applied, for clock skew.
+  appliedAt: {
+    type: Date,
+    default: Date.now,
+    expires: (MAX_DELTA_AGE_DAYS + 2) * 24 * 60 * 60,
+  },
+});
+AppliedDeltaSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+const AppliedDelta = mongoose.model("AppliedDelta", AppliedDeltaSchema);
+
+// Submissions that broke a plausibility rule. They aren't counted, and wait
+// here for a moderator to approve or reject them.
+const QuarantinedSubmissionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  deviceId: String,
+  endpoint: {
+    type: String,
+    enum: ["v1", "v2"],
+  },
+  // The request body as it would have been applied
+  payload: mongoose.Schema.Types.Mixed,
+  reasons: [String],
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected"],
+    default: "pending",
+    index: true,
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  reviewedAt: Date,
+  reviewedBy: String,
+});
+
+const QuarantinedSubmission = mongoose.model(
+  "QuarantinedSubmission",
+  QuarantinedSubmissionSchema
+);
+
+// Audit log of everything admins change
+const AdminActionSchema = new mongoose.Schema({
+  admin: {
+    type: String,
+    required: true,
+  },
+  action: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: String,
+    index: true,
+  },
+  submissionId: String,
+  details: mongoose.Schema.Types.Mixed,
+  at: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+const AdminAction = mongoose.model("AdminAction", AdminActionSchema);
+
+// Plausibility rules for submissions. The interval is a day: nobody pastes
+// more than this in one, and a day's totals only go down through
+// corrections, never below zero.
+const MAX_PASTES_PER_DAY = 5000;
+const MAX_LINES_PER_DAY = 250000;
+const MAX_LINES_PER_PASTE = 2000;
+// Pasted characters are bounded by the lines they came in, typing by what
+// one person can type in a day
+const MAX_CHARS_PER_LINE = 10000;
+const MAX_TYPED_CHARS_PER_DAY = 500000;
+// How much one submission can add to the lifetime totals, ten days at the
+// daily limits. The extension sends at most ten days per request, so a
+// first sync with a long history takes several.
+const MAX_PASTES_PER_SUBMISSION = 10 * MAX_PASTES_PER_DAY;
+const MAX_LINES_PER_SUBMISSION = 10 * MAX_LINES_PER_DAY;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only users who are neither flagged nor banned are ranked
+const RANKED = { flagged: { $ne: true }, banned: { $ne: true } };
+
+function utcDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Whether text is a YYYY-MM-DD date that is on the calendar
+function isCalendarDate(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+  const time = Date.parse(`${text}T00:00:00Z`);
+  return !Number.isNaN(time) && utcDate(new Date(time)) === text;
+}
+
+// Rules the counts that go with the pastes and lines break, for a day or
+// for lifetime totals. They keep the paste ratio and retention honest.
+function breakdownProblems({ pastes, lines, retained, pastedChars, typed }) {
+  const problems = [];
+  if (retained > pastes) {
+    problems.push("more kept and adapted pastes than pastes");
+  }
+  if (pastedChars > lines * MAX_CHARS_PER_LINE) {
+    problems.push(`more than ${MAX_CHARS_PER_LINE} characters per pasted line`);
+  }
+  if (typed.lines > typed.chars) {
+    problems.push("more typed lines than typed characters");
+  }
+  return problems;
+}
+
+// Rules a day's totals break, after deltas were added to them
+function dayProblems(day) {
+  const problems = [];
+  const pastes = day.pastes || 0;
+  const lines = day.lines || 0;
+  const typedChars = day.typedChars || 0;
+
+  // The other rules compare counts that only make sense when positive
+  if (Object.values(DELTA_FIELDS).some(({ daily }) => (day[daily] || 0) < 0)) {
+    return [`${day.date}: totals went below zero`];
+  }
+  if (pastes > MAX_PASTES_PER_DAY) {
+    problems.push(`${day.date}: more than ${MAX_PASTES_PER_DAY} pastes`);
+  }
+  if (lines > MAX_LINES_PER_DAY) {
+    problems.push(`${day.date}: more than ${MAX_LINES_PER_DAY} lines`);
+  }
+  if (lines > Math.max(pastes, 0) * MAX_LINES_PER_PASTE) {
+    problems.push(
+      `${day.date}: more than ${MAX_LINES_PER_PASTE} lines per paste`
+    );
+  }
+  if (typedChars > MAX_TYPED_CHARS_PER_DAY) {
+    problems.push(
+      `${day.date}: more than ${MAX_TYPED_CHARS_PER_DAY} typed characters`
+    );
+  }
+  const breakdown = breakdownProblems({
+    pastes,
+    lines,
+    retained: (day.keptPastes || 0) + (day.adaptedPastes || 0),
+    pastedChars: day.pastedChars || 0,
+    typed: { chars: typedChars, lines: day.typedLines || 0 },
+  });
+  problems.push(...breakdown.map((problem) => `${day.date}: ${problem}`));
+  return problems;
+}
+
+// Rules a batch of deltas breaks, checked on the days they add to and on
+// the lifetime totals. This runs before the deltas are applied, which clamps
+// totals at zero.
+function deltaProblems(userStats, deltas, now) {
+  const problems = [];
+  // Clients date deltas by UTC day, a day of slack covers clocks that run
+  // ahead
+  const latestDate = utcDate(new Date(now.getTime() + DAY_MS));
+  const oldestDate = utcDate(
+    new Date(now.getTime() - MAX_DELTA_AGE_DAYS * DAY_MS)
+  );
+
+  const total = (field) =>
+    deltas.reduce((sum, delta) => sum + (delta[field] || 0), 0);
+  if (total("pastes") > MAX_PASTES_PER_SUBMISSION) {
+    problems.push(`more than ${MAX_PASTES_PER_SUBMISSION} pastes at once`);
+  }
+  if (total("lines") > MAX_LINES_PER_SUBMISSION) {
+    problems.push(`more than ${MAX_LINES_PER_SUBMISSION} lines at once`);
+  }
+
+  for (const date of new Set(deltas.map((delta) => delta.date))) {
+    if (date > latestDate) {
+      problems.push(`${date}: date is in the future`);
+      continue;
+    }
+    if (date < oldestDate) {
+      problems.push(`${date}: more than ${MAX_DELTA_AGE_DAYS} days ago`);
+      continue;
+    }
+    const day = userStats.dailyStats.find((item) => item.date === date) || {};
+    const totals = { date };
+    for (const [field, { daily }] of Object.entries(DELTA_FIELDS)) {
+      totals[daily] = deltas
+        .filter((delta) => delta.date === date)
+        .reduce((total, delta) => total + (delta[field] || 0), day[daily] || 0);
+    }
+    problems.push(...dayProblems(totals));
+  }
+  return problems;
+}
+
+// Rules new lifetime totals from /api/submit break, compared with the
+// user's record (null for a new user). They can grow by the daily limits
+// since the last submission, but by no more than one submission can add.
+function totalsProblems(previous, totals, now) {
+  const problems = [];
+  const days = previous
+    ? Math.max(1, Math.ceil((now - previous.lastActive) / DAY_MS))
+    : Infinity;
+  const maxPastes = Math.min(
+    MAX_PASTES_PER_DAY * days,
+    MAX_PASTES_PER_SUBMISSION
+  );
+  const maxLines = Math.min(MAX_LINES_PER_DAY * days, MAX_LINES_PER_SUBMISSION);
+  const pastes = totals.totalPastes - (previous ? previous.totalPastes : 0);
+  const lines =
+    totals.totalLinesPasted - (previous ? previous.totalLinesPasted : 0);
+
+  if (
+    previous &&
+    utcDate(previous.lastActive) === utcDate(now) &&
+    (pastes < 0 || lines < 0)
+  ) {
+    problems.push("totals went down within a day");
+  }
+  if (pastes > maxPastes) {
+    problems.push(`more than ${maxPastes} pastes since the last submission`);
+  }
+  if (lines > maxLines) {
+    problems.push(`more than ${maxLines} lines since the last submission`);
+  }
+  if (totals.totalLinesPasted > totals.totalPastes * MAX_LINES_PER_PASTE) {
+    problems.push(`more than ${MAX_LINES_PER_PASTE} lines per paste`);
+  }
+  const typedChars =
+    totals.typedChars - (previous ? previous.typedChars || 0 : 0);
+  if (typedChars > MAX_TYPED_CHARS_PER_DAY * days) {
+    problems.push(
+      `more than ${MAX_TYPED_CHARS_PER_DAY} typed characters a day since the last submission`
+    );
+  }
+  problems.push(
+    ...breakdownProblems({
+      pastes: totals.totalPastes,
+      lines: totals.totalLinesPasted,
+      retained: totals.keptPastes + totals.adaptedPastes,
+      pastedChars: totals.totalCharsPasted,
+      typed: { chars: totals.typedChars, lines: totals.typedLines },
+    })
+  );
+  return problems;
+}
+
+// Keep a submission aside instead of counting it, and hide its user
+async function quarantineSubmission(
+  { userId, deviceId, endpoint, payload, reasons },
+  session
+) {
+  await QuarantinedSubmission.create(
+    [{ userId, deviceId, endpoint, payload, reasons }],
+    { session }
+  );
+  await PasteStats.updateOne(
+    { userId },
+    { $set: { flagged: true, flaggedAt: new Date() } },
+    { session }
+  );
+  console.warn(`Quarantined ${endpoint} submission of ${userId}:`, reasons);
+}
+
+// Delta fields, with the lifetime total and the dailyStats field each adds to
+const DELTA_FIELDS = {
+  pastes: { total: "totalPastes", daily: "pastes" },
+  lines: { total: "totalLinesPasted", daily: "lines" },
+  keptPastes: { total: "keptPastes", daily: "keptPastes" },
+  adaptedPastes: { total: "adaptedPastes", daily: "adaptedPastes" },
+  pastedChars: { total: "totalCharsPasted", daily: "pastedChars" },
+  typedChars: { total: "typedChars", daily: "typedChars" },
+  typedLines: { total: "typedLines", daily: "typedLines" },
+};
+const MAX_DELTAS_PER_BATCH = 500;
+// A year of days, the longest range a period leaderboard covers
+const DAILY_STATS_KEPT = 366;
+
+// Add deltas to a user's lifetime and per-day totals, and to the totals of
+// the device that sent them
+function applyDeltas(userStats, deltas, deviceId) {
+  const device = userStats.devices.find((item) => item.deviceId === deviceId);
+
+  for (const delta of deltas) {
+    let day = userStats.dailyStats.find((item) => item.date === delta.date);
+    if (!day) {
+      userStats.dailyStats.push({ date: delta.date });
+      day = userStats.dailyStats[userStats.dailyStats.length - 1];
+    }
+
+    for (const [field, { total, daily }] of Object.entries(DELTA_FIELDS)) {
+      const amount = delta[field] || 0;
+      userStats[total] = Math.max(0, (userStats[total] || 0) + amount);
+      day[daily] = Math.max(0, (day[daily] || 0) + amount);
+    }
+
+    if (device) {
+      device.totalPastes = Math.max(
+        0,
+        device.totalPastes + (delta.pastes || 0)
+      );
+      device.totalLinesPasted = Math.max(
+        0,
+        device.totalLinesPasted + (delta.lines || 0)
+      );
+      device.lastActive = new Date();
+    }
+  }
+
+  // Keep only the last year of daily stats
+  userStats.dailyStats.sort((a, b) => a.date.localeCompare(b.date));
+  if (userStats.dailyStats.length > DAILY_STATS_KEPT) {
+    userStats.dailyStats = userStats.dailyStats.slice(-DAILY_STATS_KEPT);
+  }
+
+  userStats.pasteRatio = calculatePasteRatio(
+    userStats.totalCharsPasted,
+    userStats.typedChars
+  );
+}
+
+// Fold the stats and devices of one account into another, when a device
+// that already had its own account joins another one
+function mergeAccounts(target, source) {
+  for (const { total } of Object.values(DELTA_FIELDS)) {
+    target[total] = (target[total] || 0) + (source[total] || 0);
+  }
+
+  for (const sourceDay of source.dailyStats) {
+    const day = target.dailyStats.find((item) => item.date === sourceDay.date);
+    if (!day) {
+      target.dailyStats.push(sourceDay.toObject());
+      continue;
+    }
+    for (const { daily } of Object.values(DELTA_FIELDS)) {
+      day[daily] = (day[daily] || 0) + (sourceDay[daily] || 0);
+    }
+  }
+
+  target.devices.push(...source.devices.map((device) => device.toObject()));
+
+  // Merging doesn't clear a flag that is waiting for review
+  if (source.flagged) {
+    target.flagged = true;
+    target.flaggedAt = source.flaggedAt;
+  }
+
+  // The source account is deleted, so its name is free to move over
+  if (!target.username && source.username) {
+    target.username = source.username;
+    target.usernameKey = source.usernameKey;
+  }
+
+  // Keep only the last year of daily stats
+  target.dailyStats.sort((a, b) => a.date.localeCompare(b.date));
+  if (target.dailyStats.length > DAILY_STATS_KEPT) {
+    target.dailyStats = target.dailyStats.slice(-DAILY_STATS_KEPT);
+  }
+
+  target.pasteRatio = calculatePasteRatio(
+    target.totalCharsPasted,
+    target.typedChars
+  );
+}
+
+const EMPTY_GLOBAL_STATS = {
+  totalUsers: 0,
+  globalPastes: 0,
+  globalLines: 0,
+  avgPastesPerUser: 0,
+  avgLinesPerUser: 0,
+};
+
+// Totals and averages over the ranked users, so they add up with the
+// leaderboard
+async function getGlobalStats() {
+  const result = await PasteStats.aggregate([
+    { $match: RANKED },
+    {
+      $group: {
+        _id: null,
+        totalUsers: { $sum: 1 },
+        globalPastes: { $sum: "$totalPastes" },
+        globalLines: { $sum: "$totalLinesPasted" },
+        avgPastesPerUser: { $avg: "$totalPastes" },
+        avgLinesPerUser: { $avg: "$totalLinesPasted" },
+      },
+    },
+  ]);
+  return result.length > 0 ? result[0] : EMPTY_GLOBAL_STATS;
+}
+
+// Live updates are sent as Server-Sent Events. Every subscriber gets the
+// global totals and the top of the leaderboard when stats change, and
+// subscribers that say who they are get their own rank whenever it moves.
+const LIVE_TOP_SIZE = 10;
+// Changes come in bursts, one broadcast covers all of them
+const LIVE_BROADCAST_DELAY_MS = 2000;
+// Comments that keep proxies from closing idle connections
+const LIVE_KEEPALIVE_MS = 25 * 1000;
+// Live connections are long-lived and skip the rate limiter, so they are
+// capped on their own
+const MAX_LIVE_SUBSCRIBERS = 1000;
+const MAX_LIVE_SUBSCRIBERS_PER_IP = 5;
+
+const liveSubscribers = new Set();
+let liveBroadcastTimeout = null;
+// Records that changed since the last broadcast, to tell who moved up
+const liveChangedIds = new Set();
+// Ranks in the last broadcast top list, to tell what moved
+let lastTopRanks = new Map();
+
+function sendLiveEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Places by total pastes of the given users, as a Map from user ID to
+// { rank, totalPastes }. Users who aren't ranked are left out. Two queries
+// answer it for any number of users.
+async function findRanks(userIds) {
+  const ranks = new Map();
+  if (userIds.length === 0) return ranks;
+
+  const records = await PasteStats.find({ ...RANKED, userId: { $in: userIds } })
+    .select("userId totalPastes")
+    .lean();
+  if (records.length === 0) return ranks;
+
+  // How many ranked users have each total above the lowest one asked about,
+  // highest total first
+  const lowest = Math.min(...records.map((record) => record.totalPastes));
+  const groups = await PasteStats.aggregate([
+    { $match: { ...RANKED, totalPastes: { $gt: lowest } } },
+    { $group: { _id: "$totalPastes", users: { $sum: 1 } } },
+    { $sort: { _id: -1 } },
+  ]);
+  // aheadOf[i]: users with a total of at least groups[i]._id
+  const aheadOf = [];
+  for (const group of groups) {
+    aheadOf.push(
+      (aheadOf.length > 0 ? aheadOf[aheadOf.length - 1] : 0) + group.users
+    );
+  }
+
+  for (const { userId, totalPastes } of records) {
+    // The groups with a higher total come first, find where they end
+    let low = 0;
+    let high = groups.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (groups[middle]._id > totalPastes) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    ranks.set(userId, {
+      rank: (low > 0 ? aheadOf[low - 1] : 0) + 1,
+      totalPastes,
+    });
+  }
+  return ranks;
+}
+
+// Tell a subscriber their new place. When they dropped, ahead names the
+// user among those whose stats just changed who moved past them, if any.
+function sendRank(subscriber, own, movers = []) {
+  const overtaker =
+    subscriber.rank !== null && own.rank > subscriber.rank
+      ? movers
+          .filter(
+            (mover) =>
+              mover.userId !== subscriber.userId &&
+              mover.totalPastes > own.totalPastes
+          )
+          .sort((a, b) => a.totalPastes - b.totalPastes)[0]
+      : null;
+
+  sendLiveEvent(subscriber.res, "rank", {
+    rank: own.rank,
+    previousRank: subscriber.rank,
+    ahead: overtaker ? publicProfile(overtaker).username || null : null,
+  });
+  subscriber.rank = own.rank;
+}
+
+async function broadcastLiveUpdate() {
+  liveBroadcastTimeout = null;
+  const changedIds = [...liveChangedIds];
+  liveChangedIds.clear();
+  if (liveSubscribers.size === 0) return;
+
+  const totals = await getGlobalStats();
+  const entries = await PasteStats.find(RANKED)
+    .sort({ totalPastes: -1 })
+    .limit(LIVE_TOP_SIZE)
+    .select(
+      "userId totalPastes totalLinesPasted pasteRatio lastActive username sharing"
+    )
+    .lean();
+  const top = entries.map((entry, index) => ({
+    ...publicProfile(entry),
+    rank: index + 1,
+  }));
+  const changes = top
+    .filter((entry) => lastTopRanks.get(entry.id) !== entry.rank)
+    .map((entry) => ({
+      id: entry.id,
+      rank: entry.rank,
+      previousRank: lastTopRanks.get(entry.id) || null,
+    }));
+  lastTopRanks = new Map(top.map((entry) => [entry.id, entry.rank]));
+
+  for (const subscriber of liveSubscribers) {
+    sendLiveEvent(subscriber.res, "totals", totals);
+    sendLiveEvent(subscriber.res, "leaderboard", { top, changes });
+  }
+
+  // Ranks are worked out once for everyone, not per subscriber
+  const watching = [...liveSubscribers].filter(
+    (subscriber) => subscriber.userId
+  );
+  if (watching.length === 0) return;
+  const [ranks, movers] = await Promise.all([
+    findRanks([...new Set(watching.map((subscriber) => subscriber.userId))]),
+    changedIds.length > 0
+      ? PasteStats.find({ ...RANKED, _id: { $in: changedIds } })
+          .select("userId totalPastes username sharing")
+          .lean()
+      : [],
+  ]);
+  for (const subscriber of watching) {
+    const own = ranks.get(subscriber.userId);
+    if (
+      own &&
+      own.rank !== subscriber.rank &&
+      liveSubscribers.has(subscriber)
+    ) {
+      sendRank(subscriber, own, movers);
+    }
+  }
+}
+
+function scheduleLiveBroadcast(changedId) {
+  if (changedId) liveChangedIds.add(String(changedId));
+  if (liveBroadcastTimeout) return;
+  liveBroadcastTimeout = setTimeout(() => {
+    broadcastLiveUpdate().catch((error) =>
+      console.error("Error broadcasting live update:", error)
+    );
+  }, LIVE_BROADCAST_DELAY_MS);
+}
+
 // Add this to your server.js after initializing MongoDB
 async function monitorChanges() {
   try {
@@ -68,6 +1153,8 @@ async function monitorChanges() {
           Object.keys(change.updateDescription.updatedFields)
         );
       }
+
+      scheduleLiveBroadcast(change.documentKey && change.documentKey._id);
     });
 
     console.log("MongoDB change stream monitoring enabled");
@@ -76,16 +1163,219 @@ async function monitorChanges() {
   }
 }
 
-monitorChanges().catch(console.error);
+// Request validation. Each route declares what it takes in its params,
+// query and body:
+//
+//   validate({ body: { userId: USER_ID, totalPastes: TOTAL } })
+//
+// Values are checked against their schema and query strings are turned
+// into numbers. Properties a schema doesn't list are dropped, so handlers
+// only ever see what was declared. Every problem is reported at once, as
+//   400 { error: "Invalid request", fields: { "body.totalPastes": "..." } }
+const MAX_REPORTED_PROBLEMS = 20;
+
+function reportProblem(problems, path, message) {
+  if (Object.keys(problems).length < MAX_REPORTED_PROBLEMS) {
+    problems[path] = message;
+  }
+}
+
+// The checked value, or undefined if it was missing or invalid. Strings
+// from the URL are converted to the schema's type.
+function checkValue(schema, value, path, problems, fromUrl) {
+  if (value === undefined || value === null || (fromUrl && value === "")) {
+    if (schema.required) reportProblem(problems, path, "is required");
+    return schema.default;
+  }
+
+  switch (schema.type) {
+    case "string": {
+      if (typeof value !== "string") {
+        reportProblem(problems, path, "must be a string");
+        return undefined;
+      }
+      const text = schema.trim ? value.trim() : value;
+      if (schema.required && !text) {
+        reportProblem(problems, path, "is required");
+      } else if (schema.maxLength && text.length > schema.maxLength) {
+        reportProblem(
+          problems,
+          path,
+          `must be at most ${schema.maxLength} characters long`
+        );
+      } else if (schema.enum && !schema.enum.includes(text)) {
+        reportProblem(
+          problems,
+          path,
+          `must be one of ${schema.enum.map((item) => `"${item}"`).join(", ")}`
+        );
+      } else if (schema.pattern && !schema.pattern.test(text)) {
+        reportProblem(problems, path, schema.patternMessage || "is invalid");
+      } else if (schema.format === "date" && !isCalendarDate(text)) {
+        reportProblem(problems, path, "must be a YYYY-MM-DD calendar date");
+      }
+      return text;
+    }
+
+    case "integer": {
+      const number =
+        fromUrl && typeof value === "string" ? Number(value) : value;
+      if (!Number.isInteger(number)) {
+        reportProblem(problems, path, "must be an integer");
+        return undefined;
+      }
+      if (schema.min !== undefined && number < schema.min) {
+        reportProblem(problems, path, `must be at least ${schema.min}`);
+      } else if (schema.max !== undefined && number > schema.max) {
+        reportProblem(problems, path, `must be at most ${schema.max}`);
+      }
+      return number;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) {
+        reportProblem(problems, path, "must be an array");
+        return undefined;
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        reportProblem(
+          problems,
+          path,
+          schema.minItems === 1
+            ? "must not be empty"
+            : `must have at least ${schema.minItems} items`
+        );
+      } else if (schema.maxItems && value.length > schema.maxItems) {
+        reportProblem(
+          problems,
+          path,
+          `must have at most ${schema.maxItems} items`
+        );
+        return undefined;
+      }
+      return value.map((item, index) =>
+        checkValue(schema.items, item, `${path}[${index}]`, problems, fromUrl)
+      );
+    }
+
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        reportProblem(problems, path, "must be an object");
+        return undefined;
+      }
+      const result = {};
+      for (const [name, property] of Object.entries(schema.properties)) {
+        const checked = checkValue(
+          property,
+          value[name],
+          `${path}.${name}`,
+          problems,
+          fromUrl
+        );
+        if (checked !== undefined) result[name] = checked;
+      }
+      return result;
+    }
+
+    default:
+      throw new Error(`Unknown schema type ${schema.type} for ${path}`);
+  }
+}
+
+// Middleware that checks req.params, req.query and req.body against the
+// schemas given for them and replaces them with the checked values
+function validate(schemas) {
+  return (req, res, next) => {
+    const problems = {};
+    const checked = {};
+
+    for (const part of ["params", "query", "body"]) {
+      if (!schemas[part]) continue;
+      checked[part] = checkValue(
+        { type: "object", properties: schemas[part] },
+        req[part] || {},
+        part,
+        problems,
+        part !== "body"
+      );
+    }
+
+    if (Object.keys(problems).length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid request", fields: problems });
+    }
+
+    if (checked.params) Object.assign(req.params, checked.params);
+    // req.query is a getter in Express 5, so it can't just be assigned
+    if (checked.query) {
+      Object.defineProperty(req, "query", {
+        value: checked.query,
+        configurable: true,
+      });
+    }
+    if (checked.body) req.body = checked.body;
+    next();
+  };
+}
+
+// Fields several routes share
+const MAX_TOTAL = 1000000000;
+const MAX_DELTA = 100000000;
+// Legacy user IDs aren't UUIDs, so any string of sensible length goes
+const USER_ID = { type: "string", required: true, maxLength: 100 };
+const OPTIONAL_USER_ID = { type: "string", maxLength: 100 };
+const DEVICE_NAME = { type: "string", trim: true, maxLength: 60 };
+const OS = { type: "string", maxLength: 20 };
+const VS_CODE_VERSION = { type: "string", maxLength: 30 };
+const TOTAL = { type: "integer", min: 0, max: MAX_TOTAL };
+const USER_PARAMS = { userId: USER_ID };
 
 // Middleware
 app.use(
   cors({
     origin: "*", // Allow all origins during development
+    exposedHeaders: ["X-Total-Count", "X-Period"],
   })
 );
 app.use(express.json());
 
+// Time and count every request. Requests are labelled with the route that
+// handled them, not the URL, so user IDs don't each become a series.
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+
+    incrementCounter(httpRequestsTotal, {
+      method: req.method,
+      route,
+      status: res.statusCode,
+    });
+    observeHistogram(
+      httpRequestDuration,
+      { method: req.method, route },
+      seconds
+    );
+
+    if (SUBMIT_ROUTES[route]) {
+      incrementCounter(submissionsTotal, {
+        endpoint: SUBMIT_ROUTES[route],
+        result:
+          res.statusCode === 202
+            ? "quarantined"
+            : res.statusCode < 400
+            ? "accepted"
+            : res.statusCode < 500
+            ? "rejected"
+            : "error",
+      });
+    }
+  });
+  next();
+});
+
 // Add this before your routes
 app.use((req, res, next) => {
   try {
@@ -96,11 +1386,49 @@ app.use((req, res, next) => {
   }
 });
 
+// Liveness: the process is up and answering. Probes and the extension's
+// server check call these often, so they come before the rate limiter.
+app.get("/api/health", (req, res) => {
+  res.status(200).json({
+    status: "ok",
+    uptime: Math.round(process.uptime()),
+  });
+});
+
+// Readiness: the database connection is up, so requests can be served
+app.get("/api/ready", (req, res) => {
+  const state = MONGOOSE_STATES[mongoose.connection.readyState] || "unknown";
+  res.status(state === "connected" ? 200 : 503).json({
+    status: state === "connected" ? "ready" : "not ready",
+    database: state,
+  });
+});
+
+// Prometheus scrape endpoint, behind a bearer token when METRICS_TOKEN is set
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const given = Buffer.from(req.get("Authorization") || "");
+    if (
+      given.length !== expected.length ||
+      !crypto.timingSafeEqual(given, expected)
+    ) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+  }
+
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(renderMetrics());
+});
+
 // Rate limiter middleware
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: "Too many requests from this IP, please try again later",
+  // Live updates are one long request each, capped on their own
+  skip: (req) => req.path === "/live",
 });
 
 // Apply to all API endpoints
@@ -111,201 +1439,1046 @@ app.use(express.static(path.join(__dirname, "../client/build")));
 
 // API Routes
 
-// Submit stats
-app.post("/api/submit", async (req, res) => {
-  try {
-    const { userId, totalPastes, totalLinesPasted, date, os, vsCodeVersion } =
-      req.body;
+// Register a new user with their first device and issue the device's
+// secret token. Legacy IDs were published on the leaderboard, so knowing
+// one proves nothing: their records can't be claimed here, and clients
+// start a new record from their own history instead.
+app.post(
+  "/api/register",
+  validate({ body: { userId: USER_ID, deviceName: DEVICE_NAME, os: OS } }),
+  async (req, res) => {
+    try {
+      const { userId, deviceName, os } = req.body;
+
+      if (!UUID_PATTERN.test(userId)) {
+        return res
+          .status(409)
+          .json({ error: "Legacy user IDs can't be registered" });
+      }
+
+      const { token, device } = newDevice({ name: deviceName, os });
+
+      const created = await PasteStats.updateOne(
+        { userId },
+        { $setOnInsert: { userId, devices: [device] } },
+        { upsert: true }
+      );
+      if (created.upsertedCount === 0) {
+        return res.status(409).json({ error: "User is already registered" });
+      }
+
+      res.status(201).json({ userId, deviceId: device.deviceId, token });
+    } catch (error) {
+      console.error("Error registering user:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Replace the calling device's token. The old one stops working right away.
+app.post(
+  "/api/user/:userId/token",
+  validate({ params: USER_PARAMS }),
+  requireUserToken,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const token = generateToken();
+
+      await PasteStats.updateOne(
+        { userId, "devices.deviceId": req.deviceId },
+        { $set: { "devices.$.tokenHash": hashToken(token) } }
+      );
+
+      res.status(200).json({ token });
+    } catch (error) {
+      console.error("Error rotating token:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Move a record from an old, guessable user ID to a random UUID chosen by
+// the client. Only legacy IDs can be moved, and only by one of their devices.
+app.post(
+  "/api/user/:userId/migrate",
+  validate({
+    params: USER_PARAMS,
+    body: {
+      newUserId: {
+        type: "string",
+        required: true,
+        pattern: UUID_PATTERN,
+        patternMessage: "must be a UUID",
+      },
+    },
+  }),
+  requireUserToken,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { newUserId } = req.body;
+
+      if (UUID_PATTERN.test(userId)) {
+        return res
+          .status(400)
+          .json({ error: "Only legacy IDs can be migrated" });
+      }
+      if (await PasteStats.exists({ userId: newUserId })) {
+        return res.status(409).json({ error: "newUserId is already taken" });
+      }
+
+      await mongoose.connection.transaction(async (session) => {
+        await PasteStats.updateOne(
+          { userId },
+          { $set: { userId: newUserId } },
+          { session }
+        );
+        await AppliedDelta.updateMany(
+          { userId },
+          { $set: { userId: newUserId } },
+          { session }
+        );
+        await QuarantinedSubmission.updateMany(
+          { userId },
+          { $set: { userId: newUserId } },
+          { session }
+        );
+        await PairingCode.deleteMany({ userId }, { session });
+      });
+
+      res.status(200).json({ userId: newUserId });
+    } catch (error) {
+      console.error("Error migrating user:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Hand out a pairing code another device can use to join this account
+app.post(
+  "/api/user/:userId/pairing-code",
+  validate({ params: USER_PARAMS }),
+  requireUserToken,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const expiresAt = new Date(Date.now() + PAIRING_CODE_TTL_MS);
+
+      // A clash with a live code is unlikely, but just pick another one
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const code = generatePairingCode();
+        try {
+          await PairingCode.create({ code, userId, expiresAt });
+          return res.status(201).json({ code, expiresAt });
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+        }
+      }
+
+      res.status(503).json({ error: "Could not create a pairing code" });
+    } catch (error) {
+      console.error("Error creating pairing code:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-    // Find or create the user
-    let userStats = await PasteStats.findOne({ userId });
+// Join an account with a pairing code. A device that already has an account
+// of its own can send its user ID and token along, and that account's stats
+// and devices are merged into the one it joins.
+app.post(
+  "/api/pair",
+  validate({
+    body: {
+      code: { type: "string", required: true, maxLength: 20 },
+      deviceName: DEVICE_NAME,
+      os: OS,
+      previousUserId: OPTIONAL_USER_ID,
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { code, deviceName, os, previousUserId } = req.body;
+      const previousToken = readBearerToken(req);
+
+      const pairing = await PairingCode.findOneAndDelete({
+        code: normalizePairingCode(code),
+        expiresAt: { $gt: new Date() },
+      });
+      if (!pairing) {
+        return res
+          .status(404)
+          .json({ error: "Invalid or expired pairing code" });
+      }
+
+      const { userId } = pairing;
+      const mergeFrom =
+        previousUserId && previousUserId !== userId
+          ? await findDeviceByToken(previousUserId, previousToken)
+          : null;
+      const { token, device } = newDevice({ name: deviceName, os });
+
+      await mongoose.connection.transaction(async (session) => {
+        const userStats = await PasteStats.findOne({ userId })
+          .select("+devices.tokenHash")
+          .session(session);
+        if (!userStats) {
+          throw new Error(`Paired account ${userId} no longer exists`);
+        }
+
+        if (mergeFrom) {
+          const previous = await PasteStats.findOne({ userId: previousUserId })
+            .select("+devices.tokenHash")
+            .session(session);
+          if (previous) {
+            mergeAccounts(userStats, previous);
+            await PasteStats.deleteOne({ _id: previous._id }, { session });
+            await AppliedDelta.updateMany(
+              { userId: previousUserId },
+              { $set: { userId } },
+              { session }
+            );
+            await QuarantinedSubmission.updateMany(
+              { userId: previousUserId },
+              { $set: { userId } },
+              { session }
+            );
+          }
+        }
+
+        userStats.devices.push(device);
+        await userStats.save({ session });
+      });
+
+      res.status(200).json({ userId, deviceId: device.deviceId, token });
+    } catch (error) {
+      console.error("Error pairing device:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-    if (!userStats) {
-      userStats = new PasteStats({
+// Old clients send lifetime totals, which replace the stored ones and are
+// also kept as today's numbers
+function applyLegacyTotals(userStats, totals) {
+  const {
+    totalPastes,
+    totalLinesPasted,
+    keptPastes,
+    adaptedPastes,
+    totalCharsPasted,
+    typedChars,
+    typedLines,
+    os,
+    vsCodeVersion,
+  } = totals;
+
+  userStats.totalPastes = totalPastes;
+  userStats.totalLinesPasted = totalLinesPasted;
+  userStats.keptPastes = keptPastes;
+  userStats.adaptedPastes = adaptedPastes;
+  userStats.totalCharsPasted = totalCharsPasted;
+  userStats.typedChars = typedChars;
+  userStats.typedLines = typedLines;
+  // Computed here rather than trusted from the client
+  userStats.pasteRatio = calculatePasteRatio(totalCharsPasted, typedChars);
+  userStats.lastActive = new Date();
+
+  // Update OS and VS Code version if provided
+  if (os) userStats.os = os;
+  if (vsCodeVersion) userStats.vsCodeVersion = vsCodeVersion;
+
+  // Optional: Update daily stats
+  const today = new Date().toISOString().split("T")[0];
+  const existingDayIndex = userStats.dailyStats.findIndex(
+    (item) => item.date === today
+  );
+
+  if (existingDayIndex >= 0) {
+    userStats.dailyStats[existingDayIndex].pastes = totalPastes;
+    userStats.dailyStats[existingDayIndex].lines = totalLinesPasted;
+    userStats.dailyStats[existingDayIndex].keptPastes = keptPastes;
+    userStats.dailyStats[existingDayIndex].adaptedPastes = adaptedPastes;
+    userStats.dailyStats[existingDayIndex].pastedChars = totalCharsPasted;
+    userStats.dailyStats[existingDayIndex].typedChars = typedChars;
+  } else {
+    userStats.dailyStats.push({
+      date: today,
+      pastes: totalPastes,
+      lines: totalLinesPasted,
+      keptPastes,
+      adaptedPastes,
+      pastedChars: totalCharsPasted,
+      typedChars,
+    });
+    // Keep only the last year of daily stats
+    if (userStats.dailyStats.length > DAILY_STATS_KEPT) {
+      userStats.dailyStats = userStats.dailyStats.slice(-DAILY_STATS_KEPT);
+    }
+  }
+}
+
+// Submit stats
+app.post(
+  "/api/submit",
+  validate({
+    body: {
+      userId: USER_ID,
+      totalPastes: { ...TOTAL, required: true },
+      totalLinesPasted: { ...TOTAL, required: true },
+      keptPastes: { ...TOTAL, default: 0 },
+      adaptedPastes: { ...TOTAL, default: 0 },
+      totalCharsPasted: { ...TOTAL, default: 0 },
+      typedChars: { ...TOTAL, default: 0 },
+      typedLines: { ...TOTAL, default: 0 },
+      os: OS,
+      vsCodeVersion: VS_CODE_VERSION,
+    },
+  }),
+  requireUserToken,
+  refuseBanned,
+  async (req, res) => {
+    try {
+      const {
         userId,
         totalPastes,
         totalLinesPasted,
+        keptPastes,
+        adaptedPastes,
+        totalCharsPasted,
+        typedChars,
+        typedLines,
         os,
         vsCodeVersion,
-        date,
-      });
-    } else {
-      // Update existing record
-      userStats.totalPastes = totalPastes;
-      userStats.totalLinesPasted = totalLinesPasted;
-      userStats.lastActive = new Date();
+      } = req.body;
 
-      // Update OS and VS Code version if provided
-      if (os) userStats.os = os;
-      if (vsCodeVersion) userStats.vsCodeVersion = vsCodeVersion;
+      // Computed here rather than trusted from the client
+      const pasteRatio = calculatePasteRatio(totalCharsPasted, typedChars);
 
-      // Optional: Update daily stats
-      const today = new Date().toISOString().split("T")[0];
-      const existingDayIndex = userStats.dailyStats.findIndex(
-        (item) => item.date === today
-      );
+      // Find or create the user
+      let userStats = await PasteStats.findOne({ userId });
 
-      if (existingDayIndex >= 0) {
-        userStats.dailyStats[existingDayIndex].pastes = totalPastes;
-        userStats.dailyStats[existingDayIndex].lines = totalLinesPasted;
-      } else {
-        userStats.dailyStats.push({
-          date: today,
-          pastes: totalPastes,
-          lines: totalLinesPasted,
+      const problems = totalsProblems(userStats, req.body, new Date());
+      if (problems.length > 0) {
+        await quarantineSubmission({
+          userId,
+          deviceId: req.deviceId,
+          endpoint: "v1",
+          payload: req.body,
+          reasons: problems,
         });
-        // Keep only the last 30 days of daily stats
-        if (userStats.dailyStats.length > 30) {
-          userStats.dailyStats = userStats.dailyStats.slice(-30);
-        }
+        return res.status(202).json({ message: "Stats held for review" });
+      }
+
+      if (!userStats) {
+        userStats = new PasteStats({
+          userId,
+          totalPastes,
+          totalLinesPasted,
+          keptPastes,
+          adaptedPastes,
+          totalCharsPasted,
+          typedChars,
+          typedLines,
+          pasteRatio,
+          os,
+          vsCodeVersion,
+        });
+      } else {
+        applyLegacyTotals(userStats, req.body);
       }
-    }
 
-    // Save to database with upsert
-    await userStats.save();
+      // Save to database with upsert
+      await userStats.save();
 
-    res.status(200).json({ message: "Stats saved successfully" });
-  } catch (error) {
-    console.error("Error submitting stats:", error);
-    res.status(500).json({ error: "Server error" });
+      res.status(200).json({ message: "Stats saved successfully" });
+    } catch (error) {
+      console.error("Error submitting stats:", error);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-});
+);
 
-// Get leaderboard
-app.get("/api/leaderboard", async (req, res) => {
-  try {
-    const { limit = 100, sort = "totalPastes", userId } = req.query;
-
-    // Validate sort field
-    const validSortFields = ["totalPastes", "totalLinesPasted", "lastActive"];
-    const sortField = validSortFields.includes(sort) ? sort : "totalPastes";
-
-    // Get leaderboard data
-    const leaderboard = await PasteStats.find()
-      .sort({ [sortField]: -1 })
-      .limit(parseInt(limit))
-      .select("userId totalPastes totalLinesPasted lastActive username")
-      .lean();
-
-    // Add flag for current user if userId is provided
-    if (userId) {
-      leaderboard.forEach((entry) => {
-        entry.isCurrentUser = entry.userId === userId;
+// A delta has a key and a YYYY-MM-DD date. Counts may be negative, e.g.
+// when a user marks something as not a paste.
+const DELTA = {
+  type: "object",
+  required: true,
+  properties: {
+    key: { type: "string", required: true, maxLength: 100 },
+    date: { type: "string", required: true, format: "date" },
+    ...Object.fromEntries(
+      Object.keys(DELTA_FIELDS).map((field) => [
+        field,
+        { type: "integer", min: -MAX_DELTA, max: MAX_DELTA },
+      ])
+    ),
+  },
+};
+
+// Submit stats as deltas. Each delta is applied once, however often it is
+// sent, and deltas from several machines add up. /api/submit stays for
+// older clients that send absolute totals.
+app.post(
+  "/api/v2/submit",
+  validate({
+    body: {
+      userId: USER_ID,
+      deltas: {
+        type: "array",
+        required: true,
+        minItems: 1,
+        maxItems: MAX_DELTAS_PER_BATCH,
+        items: DELTA,
+      },
+      sharing: { type: "string", enum: ["anonymous", "full"] },
+      os: OS,
+      vsCodeVersion: VS_CODE_VERSION,
+    },
+  }),
+  requireUserToken,
+  refuseBanned,
+  async (req, res) => {
+    try {
+      const { userId, deltas, sharing, os, vsCodeVersion } = req.body;
+
+      const accepted = [];
+      const duplicates = [];
+      const quarantined = [];
+
+      // Recording the keys and updating the totals succeed or fail together
+      await mongoose.connection.transaction(async (session) => {
+        accepted.length = 0;
+        duplicates.length = 0;
+        quarantined.length = 0;
+
+        const fresh = [];
+        for (const delta of deltas) {
+          const { upsertedCount } = await AppliedDelta.updateOne(
+            { userId, key: delta.key },
+            { $setOnInsert: { appliedAt: new Date() } },
+            { upsert: true, session }
+          );
+
+          if (upsertedCount === 1) {
+            fresh.push(delta);
+            accepted.push(delta.key);
+          } else {
+            duplicates.push(delta.key);
+          }
+        }
+        if (fresh.length === 0) return;
+
+        const userStats =
+          (await PasteStats.findOne({ userId })
+            .select("+devices.tokenHash")
+            .session(session)) || new PasteStats({ userId });
+
+        // A batch that breaks a rule isn't applied. Its keys stay recorded,
+        // so resending it doesn't count it either.
+        const problems = deltaProblems(userStats, fresh, new Date());
+        if (problems.length > 0) {
+          await quarantineSubmission(
+            {
+              userId,
+              deviceId: req.deviceId,
+              endpoint: "v2",
+              payload: { ...req.body, deltas: fresh },
+              reasons: problems,
+            },
+            session
+          );
+          quarantined.push(...accepted);
+          accepted.length = 0;
+          return;
+        }
+
+        applyDeltas(userStats, fresh, req.deviceId);
+        userStats.lastActive = new Date();
+        // Clients from before sharing levels always shared everything
+        userStats.sharing = sharing === "anonymous" ? "anonymous" : "full";
+        if (userStats.sharing === "anonymous") {
+          userStats.os = undefined;
+          userStats.vsCodeVersion = undefined;
+        } else {
+          if (os) userStats.os = os;
+          if (vsCodeVersion) userStats.vsCodeVersion = vsCodeVersion;
+        }
+
+        await userStats.save({ session });
       });
 
-      // Check if current user is in the leaderboard
-      const userInLeaderboard = leaderboard.some(
-        (entry) => entry.userId === userId
+      incrementCounter(deltasTotal, { result: "applied" }, accepted.length);
+      incrementCounter(deltasTotal, { result: "duplicate" }, duplicates.length);
+      incrementCounter(
+        deltasTotal,
+        { result: "quarantined" },
+        quarantined.length
       );
+      res
+        .status(quarantined.length > 0 ? 202 : 200)
+        .json({ accepted, duplicates, quarantined });
+    } catch (error) {
+      console.error("Error submitting stat deltas:", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-      // If not, get their stats and position
-      if (!userInLeaderboard) {
-        const userStats = await PasteStats.findOne({ userId })
-          .select("userId totalPastes totalLinesPasted lastActive username")
-          .lean();
+const LEADERBOARD_SORT_FIELDS = [
+  "totalPastes",
+  "totalLinesPasted",
+  "pasteRatio",
+  "lastActive",
+];
+const MAX_LEADERBOARD_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 50;
+// Nobody pages this far, and skipping further gets slow
+const MAX_LEADERBOARD_PAGE = 10000;
+
+const LEADERBOARD_PERIODS = ["all-time", "today", "week", "month", "custom"];
+const LEADERBOARD_DATE = { type: "string", format: "date" };
+
+// First and last day of a period, as YYYY-MM-DD in UTC. Weeks start on
+// Monday, and the current week and month run up to today.
+function periodRange(period, now) {
+  const today = utcDate(now);
+  if (period === "today") return { from: today, to: today };
+  if (period === "month") return { from: `${today.slice(0, 8)}01`, to: today };
 
-        if (userStats) {
-          // Get user's rank
-          const count = await PasteStats.countDocuments({
-            [sortField]: { $gt: userStats[sortField] },
-          });
+  const monday = new Date(now);
+  monday.setUTCDate(now.getUTCDate() - ((now.getUTCDay() + 6) % 7));
+  return { from: utcDate(monday), to: today };
+}
+
+// Problems with a custom from/to range, by field, as validate() reports them
+function customRangeProblems(from, to) {
+  const problems = {};
+  for (const [field, date] of Object.entries({ from, to })) {
+    if (!date) {
+      problems[`query.${field}`] = "is required for a custom period";
+    }
+  }
+  if (Object.keys(problems).length > 0) return problems;
+
+  const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+  if (days < 1) {
+    problems["query.to"] = "must not be before from";
+  } else if (days > DAILY_STATS_KEPT) {
+    problems["query.to"] = `must be at most ${
+      DAILY_STATS_KEPT - 1
+    } days after from`;
+  }
+  return problems;
+}
+
+// One page of the leaderboard for the days from..to, added up from the
+// users' daily stats. Ranks are over all ranked users active in the range.
+// With userId, that user's entry is marked, or added at the end.
+async function periodLeaderboard({
+  from,
+  to,
+  sortField,
+  search,
+  pageNumber,
+  pageSize,
+  userId,
+}) {
+  // Anonymous users can't be found by the name they keep hidden
+  const listed = { ranked: true };
+  if (search) {
+    listed.username = {
+      $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      $options: "i",
+    };
+    listed.sharing = { $ne: "anonymous" };
+  }
+
+  const [result] = await PasteStats.aggregate([
+    {
+      $match: {
+        dailyStats: { $elemMatch: { date: { $gte: from, $lte: to } } },
+      },
+    },
+    {
+      $project: {
+        userId: 1,
+        username: 1,
+        sharing: 1,
+        lastActive: 1,
+        flagged: 1,
+        ranked: {
+          $and: [{ $ne: ["$flagged", true] }, { $ne: ["$banned", true] }],
+        },
+        days: {
+          $filter: {
+            input: "$dailyStats",
+            as: "day",
+            cond: {
+              $and: [
+                { $gte: ["$$day.date", from] },
+                { $lte: ["$$day.date", to] },
+              ],
+            },
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        userId: 1,
+        username: 1,
+        sharing: 1,
+        lastActive: 1,
+        flagged: 1,
+        ranked: 1,
+        totalPastes: { $sum: "$days.pastes" },
+        totalLinesPasted: { $sum: "$days.lines" },
+        keptPastes: { $sum: "$days.keptPastes" },
+        adaptedPastes: { $sum: "$days.adaptedPastes" },
+        pastedChars: { $sum: "$days.pastedChars" },
+        typedChars: { $sum: "$days.typedChars" },
+      },
+    },
+    {
+      $addFields: {
+        pasteRatio: {
+          $let: {
+            vars: { written: { $add: ["$pastedChars", "$typedChars"] } },
+            in: {
+              $cond: [
+                { $gt: ["$$written", 0] },
+                { $divide: ["$pastedChars", "$$written"] },
+                0,
+              ],
+            },
+          },
+        },
+      },
+    },
+    // Ranked and unranked users get places of their own, so flagged and
+    // banned users don't push anybody down
+    {
+      $setWindowFields: {
+        partitionBy: "$ranked",
+        sortBy: { [sortField]: -1 },
+        output: { rank: { $rank: {} } },
+      },
+    },
+    { $sort: { [sortField]: -1, _id: 1 } },
+    { $unset: ["_id", "pastedChars", "typedChars"] },
+    {
+      $facet: {
+        entries: [
+          { $match: listed },
+          { $skip: (pageNumber - 1) * pageSize },
+          { $limit: pageSize },
+        ],
+        total: [{ $match: listed }, { $count: "count" }],
+        own: [{ $match: { userId: userId || null } }],
+      },
+    },
+  ]);
+
+  const toEntry = ({ ranked, flagged, ...entry }) => ({
+    ...publicProfile(entry),
+    // Flagged and banned users still see themselves, but without a place
+    rank: ranked ? entry.rank : null,
+    ...(flagged ? { underReview: true } : {}),
+  });
+  const leaderboard = result.entries.map(toEntry);
 
-          userStats.rank = count + 1;
-          userStats.isCurrentUser = true;
+  if (userId) {
+    leaderboard.forEach((entry) => {
+      entry.isCurrentUser = entry.id === publicId(userId);
+    });
+    if (!leaderboard.some((entry) => entry.isCurrentUser) && result.own[0]) {
+      leaderboard.push({ ...toEntry(result.own[0]), isCurrentUser: true });
+    }
+  }
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+  return { leaderboard, total };
+}
+
+// Place of a user with the given value of the sort field. Users with the
+// same value share a place.
+async function rankFor(sortField, value) {
+  const ahead = await PasteStats.countDocuments({
+    ...RANKED,
+    [sortField]: { $gt: value },
+  });
+  return ahead + 1;
+}
+
+// Get leaderboard, one page at a time. The total number of matching users
+// is sent in X-Total-Count. Every entry has its rank on the whole
+// leaderboard, also when searching. With userId, that user's entry is
+// marked, or added at the end if it isn't on the page. Users flagged by the
+// plausibility rules are left out until reviewed. With a period other than
+// all-time, the totals are those of the days in the period, which is sent
+// in X-Period as "from/to".
+app.get(
+  "/api/leaderboard",
+  validate({
+    query: {
+      limit: {
+        type: "integer",
+        min: 1,
+        max: MAX_LEADERBOARD_PAGE_SIZE,
+        default: MAX_LEADERBOARD_PAGE_SIZE,
+      },
+      page: { type: "integer", min: 1, max: MAX_LEADERBOARD_PAGE, default: 1 },
+      sort: {
+        type: "string",
+        enum: LEADERBOARD_SORT_FIELDS,
+        default: "totalPastes",
+      },
+      search: { type: "string", trim: true, maxLength: MAX_SEARCH_LENGTH },
+      userId: OPTIONAL_USER_ID,
+      period: {
+        type: "string",
+        enum: LEADERBOARD_PERIODS,
+        default: "all-time",
+      },
+      from: LEADERBOARD_DATE,
+      to: LEADERBOARD_DATE,
+    },
+  }),
+  async (req, res) => {
+    try {
+      const {
+        limit: pageSize,
+        page: pageNumber,
+        sort: sortField,
+        search,
+        userId,
+        period,
+        from,
+        to,
+      } = req.query;
 
-          // Add to response
-          leaderboard.push(userStats);
+      if (period !== "all-time") {
+        if (period === "custom") {
+          const problems = customRangeProblems(from, to);
+          if (Object.keys(problems).length > 0) {
+            return res
+              .status(400)
+              .json({ error: "Invalid request", fields: problems });
+          }
         }
+        const range =
+          period === "custom" ? { from, to } : periodRange(period, new Date());
+
+        const { leaderboard, total } = await periodLeaderboard({
+          ...range,
+          sortField,
+          search,
+          pageNumber,
+          pageSize,
+          userId,
+        });
+        res.set("X-Total-Count", String(total));
+        res.set("X-Period", `${range.from}/${range.to}`);
+        return res.status(200).json(leaderboard);
       }
-    }
 
-    res.status(200).json(leaderboard);
-  } catch (error) {
-    console.error("Error fetching leaderboard:", error);
-    res.status(500).json({ error: "Server error" });
+      // Anonymous users can't be found by the name they keep hidden
+      const filter = { ...RANKED };
+      if (search) {
+        const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        filter.username = { $regex: pattern, $options: "i" };
+        filter.sharing = { $ne: "anonymous" };
+      }
+
+      const [entries, total] = await Promise.all([
+        PasteStats.find(filter)
+          .sort({ [sortField]: -1, _id: 1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize)
+          .select(
+            "userId totalPastes totalLinesPasted keptPastes adaptedPastes pasteRatio lastActive username sharing"
+          )
+          .lean(),
+        PasteStats.countDocuments(filter),
+      ]);
+      const leaderboard = entries.map(publicProfile);
+
+      // Everyone before an entry on an unfiltered page ranks higher, unless
+      // they tie with it
+      for (const [index, entry] of leaderboard.entries()) {
+        const previous = leaderboard[index - 1];
+        if (search || !previous) {
+          entry.rank = await rankFor(sortField, entry[sortField]);
+        } else if (previous[sortField] === entry[sortField]) {
+          entry.rank = previous.rank;
+        } else {
+          entry.rank = (pageNumber - 1) * pageSize + index + 1;
+        }
+      }
+
+      if (userId) {
+        leaderboard.forEach((entry) => {
+          entry.isCurrentUser = entry.id === publicId(userId);
+        });
+
+        if (!leaderboard.some((entry) => entry.isCurrentUser)) {
+          const ownStats = await PasteStats.findOne({ userId })
+            .select(
+              "userId totalPastes totalLinesPasted keptPastes adaptedPastes pasteRatio lastActive username sharing flagged banned"
+            )
+            .lean();
+
+          if (ownStats) {
+            const { flagged, banned, ...ownProfile } = ownStats;
+            const userStats = publicProfile(ownProfile);
+            // Flagged and banned users still see themselves, but without a
+            // place
+            userStats.rank =
+              flagged || banned
+                ? null
+                : await rankFor(sortField, userStats[sortField]);
+            if (flagged) userStats.underReview = true;
+            userStats.isCurrentUser = true;
+            leaderboard.push(userStats);
+          }
+        }
+      }
+
+      res.set("X-Total-Count", String(total));
+      res.status(200).json(leaderboard);
+    } catch (error) {
+      console.error("Error fetching leaderboard:", error);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-});
+);
 
 // Get user stats
-app.get("/api/user/:userId", async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const userStats = await PasteStats.findOne({ userId })
-      .select(
-        "-_id userId totalPastes totalLinesPasted dailyStats lastActive username"
-      )
-      .lean();
+app.get(
+  "/api/user/:userId",
+  validate({ params: USER_PARAMS }),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const userStats = await PasteStats.findOne({ userId })
+        .select(
+          "-_id userId totalPastes totalLinesPasted keptPastes adaptedPastes totalCharsPasted typedChars typedLines pasteRatio dailyStats lastActive username devices.deviceId devices.name devices.os devices.totalPastes devices.totalLinesPasted devices.linkedAt devices.lastActive sharing"
+        )
+        .lean();
 
-    if (!userStats) {
-      return res.status(404).json({ error: "User not found" });
+      if (!userStats) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      res.status(200).json(publicProfile(userStats));
+    } catch (error) {
+      console.error("Error fetching user stats:", error);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
 
-    res.status(200).json(userStats);
-  } catch (error) {
-    console.error("Error fetching user stats:", error);
-    res.status(500).json({ error: "Server error" });
+// Delete a user's record with its daily history, along with the keys of
+// applied deltas and any pairing codes. Every linked device loses access.
+app.delete(
+  "/api/user/:userId",
+  validate({ params: USER_PARAMS }),
+  requireUserToken,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      await mongoose.connection.transaction(async (session) => {
+        await PasteStats.deleteOne({ userId }, { session });
+        await AppliedDelta.deleteMany({ userId }, { session });
+        await QuarantinedSubmission.deleteMany({ userId }, { session });
+        await PairingCode.deleteMany({ userId }, { session });
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      console.error("Error deleting user data:", error);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-});
+);
 
-// Set username
-app.post("/api/user/:userId/username", async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { username } = req.body;
+// Switch between an anonymous and a full profile right away, instead of
+// with the next submission
+app.post(
+  "/api/user/:userId/sharing",
+  validate({
+    params: USER_PARAMS,
+    body: {
+      sharing: { type: "string", required: true, enum: ["anonymous", "full"] },
+    },
+  }),
+  requireUserToken,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { sharing } = req.body;
+
+      await PasteStats.updateOne(
+        { userId },
+        sharing === "anonymous"
+          ? { $set: { sharing }, $unset: { os: "", vsCodeVersion: "" } }
+          : { $set: { sharing } }
+      );
 
-    if (!username) {
-      return res.status(400).json({ error: "Username is required" });
+      res.status(200).json({ sharing });
+    } catch (error) {
+      console.error("Error updating sharing level:", error);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
+
+// Check whether a name can be used, for feedback while it is typed. Pass
+// userId so your own current name counts as available.
+app.get(
+  "/api/username/available",
+  validate({
+    query: {
+      name: { type: "string", maxLength: 100 },
+      userId: OPTIONAL_USER_ID,
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { name, userId } = req.query;
 
-    const userStats = await PasteStats.findOne({ userId });
+      const problem = usernameProblem(name);
+      if (problem) {
+        return res.status(200).json({ available: false, error: problem });
+      }
+      if (await isUsernameTaken(name.trim(), userId)) {
+        return res
+          .status(200)
+          .json({ available: false, error: "That name is already taken" });
+      }
 
-    if (!userStats) {
-      return res.status(404).json({ error: "User not found" });
+      res.status(200).json({ available: true });
+    } catch (error) {
+      console.error("Error checking username:", error);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
 
-    userStats.username = username;
-    await userStats.save();
+// Set username
+app.post(
+  "/api/user/:userId/username",
+  validate({
+    params: USER_PARAMS,
+    body: { username: { type: "string", maxLength: 100 } },
+  }),
+  requireUserToken,
+  refuseBanned,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { username } = req.body;
 
-    res.status(200).json({ success: true });
-  } catch (error) {
-    console.error("Error setting username:", error);
-    res.status(500).json({ error: "Server error" });
+      const problem = usernameProblem(username);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      const name = username.trim();
+      if (await isUsernameTaken(name, userId)) {
+        return res.status(409).json({ error: "That name is already taken" });
+      }
+
+      const userStats = await PasteStats.findOne({ userId });
+
+      if (!userStats) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      userStats.username = name;
+      userStats.usernameKey = name.toLowerCase();
+      await userStats.save();
+
+      res.status(200).json({ success: true, username: name });
+    } catch (error) {
+      // Someone else took the name since the check
+      if (error.code === 11000) {
+        return res.status(409).json({ error: "That name is already taken" });
+      }
+      console.error("Error setting username:", error);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-});
+);
 
 // Get global stats
 app.get("/api/stats", async (req, res) => {
   try {
-    const result = await PasteStats.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalUsers: { $sum: 1 },
-          globalPastes: { $sum: "$totalPastes" },
-          globalLines: { $sum: "$totalLinesPasted" },
-          avgPastesPerUser: { $avg: "$totalPastes" },
-          avgLinesPerUser: { $avg: "$totalLinesPasted" },
-        },
-      },
-    ]);
-
-    if (result.length === 0) {
-      return res.status(200).json({
-        totalUsers: 0,
-        globalPastes: 0,
-        globalLines: 0,
-        avgPastesPerUser: 0,
-        avgLinesPerUser: 0,
-      });
-    }
-
-    res.status(200).json(result[0]);
+    res.status(200).json(await getGlobalStats());
   } catch (error) {
     console.error("Error fetching global stats:", error);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// Live leaderboard updates. Pass ?userId= to get your own rank as well.
+app.get(
+  "/api/live",
+  validate({ query: { userId: OPTIONAL_USER_ID } }),
+  async (req, res) => {
+    const { userId } = req.query;
+
+    if (liveSubscribers.size >= MAX_LIVE_SUBSCRIBERS) {
+      return res.status(503).json({ error: "Too many live connections" });
+    }
+    const fromIp = [...liveSubscribers].filter(
+      (subscriber) => subscriber.ip === req.ip
+    ).length;
+    if (fromIp >= MAX_LIVE_SUBSCRIBERS_PER_IP) {
+      return res
+        .status(429)
+        .json({ error: "Too many live connections from this IP" });
+    }
+
+    const subscriber = {
+      res,
+      ip: req.ip,
+      userId: userId || null,
+      rank: null,
+    };
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    liveSubscribers.add(subscriber);
+    const keepAlive = setInterval(
+      () => res.write(": keep-alive\n\n"),
+      LIVE_KEEPALIVE_MS
+    );
+    req.on("close", () => {
+      clearInterval(keepAlive);
+      liveSubscribers.delete(subscriber);
+    });
+
+    try {
+      sendLiveEvent(res, "totals", await getGlobalStats());
+      const own = subscriber.userId
+        ? (await findRanks([subscriber.userId])).get(subscriber.userId)
+        : null;
+      if (own) sendRank(subscriber, own);
+    } catch (error) {
+      console.error("Error starting live updates:", error);
+    }
+  }
+);
+
 // Add this code to help debug the connection issue
 
 // Update your submitToLeaderboard function to add error details
@@ -334,33 +2507,23 @@ app.get("/", (req, res) => {
 });
 
 // Add this route to display a simple leaderboard
+// For anything users typed that ends up in a page
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 app.get("/leaderboard", async (req, res) => {
   try {
-    const users = await PasteStats.find().sort({ totalPastes: -1 }).limit(10);
+    const users = (
+      await PasteStats.find(RANKED).sort({ totalPastes: -1 }).limit(10).lean()
+    ).map(publicProfile);
 
-    const stats = await PasteStats.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalUsers: { $sum: 1 },
-          globalPastes: { $sum: "$totalPastes" },
-          globalLines: { $sum: "$totalLinesPasted" },
-          avgPastesPerUser: { $avg: "$totalPastes" },
-          avgLinesPerUser: { $avg: "$totalLinesPasted" },
-        },
-      },
-    ]);
-
-    const globalStats =
-      stats.length > 0
-        ? stats[0]
-        : {
-            totalUsers: 0,
-            globalPastes: 0,
-            globalLines: 0,
-            avgPastesPerUser: 0,
-            avgLinesPerUser: 0,
-          };
+    const globalStats = await getGlobalStats();
 
     res.send(`
       <html>
@@ -408,11 +2571,11 @@ app.get("/leaderboard", async (req, res) => {
                 (user, index) => `
               <tr>
                 <td>${index + 1}</td>
-                <td>${user.username || user.userId}</td>
+                <td>${escapeHtml(displayName(user))}</td>
                 <td>${user.totalPastes}</td>
                 <td>${user.totalLinesPasted}</td>
                 <td>${new Date(user.lastActive).toLocaleString()}</td>
-                <td>${user.os || "Unknown"}</td>
+                <td>${escapeHtml(user.os || "Unknown")}</td>
               </tr>
             `
               )
@@ -427,35 +2590,999 @@ app.get("/leaderboard", async (req, res) => {
   }
 });
 
-// Add this route to check sync status
-app.get("/api/syncStatus/:userId", async (req, res) => {
+// Admin access. Operators are listed in ADMIN_TOKENS as
+// "name:token,name:token". The admin API takes "Authorization: Bearer
+// <token>". The admin pages ask the browser for the name and token (HTTP
+// Basic), and their forms carry a CSRF token, since browsers send Basic
+// credentials along with any request to the site.
+const ADMINS = (process.env.ADMIN_TOKENS || "")
+  .split(",")
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .flatMap((entry) => {
+    const separator = entry.indexOf(":");
+    if (separator <= 0 || separator === entry.length - 1) {
+      console.warn("Ignoring ADMIN_TOKENS entry without a name and token");
+      return [];
+    }
+    return [
+      {
+        name: entry.slice(0, separator),
+        tokenHash: hashToken(entry.slice(separator + 1)),
+      },
+    ];
+  });
+const ADMIN_PAGE_SIZE = 50;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+function findAdmin(token) {
+  if (!token) return null;
+  return ADMINS.find((admin) => tokenMatches(token, admin.tokenHash)) || null;
+}
+
+function readBasicCredentials(req) {
+  const match = /^Basic (\S+)$/.exec(req.get("Authorization") || "");
+  if (!match) return null;
+
+  const decoded = Buffer.from(match[1], "base64").toString("utf8");
+  const separator = decoded.indexOf(":");
+  if (separator === -1) return null;
+  return {
+    name: decoded.slice(0, separator),
+    token: decoded.slice(separator + 1),
+  };
+}
+
+// Forms on the admin pages carry this, tied to the admin's token
+function csrfToken(admin) {
+  return crypto
+    .createHmac("sha256", admin.tokenHash)
+    .update("copyjedi-admin-forms")
+    .digest("hex");
+}
+
+function requireAdmin(req, res, next) {
+  if (ADMINS.length === 0) {
+    return res.status(503).json({ error: "Admin access is not configured" });
+  }
+
+  const admin = findAdmin(readBearerToken(req));
+  if (!admin) {
+    return res.status(401).json({ error: "Admin token required" });
+  }
+
+  req.admin = admin.name;
+  next();
+}
+
+// Needs the form body, so it runs after express.urlencoded() on POSTs
+function requireAdminPage(req, res, next) {
+  if (ADMINS.length === 0) {
+    return res.status(503).send("Admin access is not configured");
+  }
+
+  const credentials = readBasicCredentials(req);
+  const admin = credentials && findAdmin(credentials.token);
+  if (!admin || admin.name !== credentials.name) {
+    res.set(
+      "WWW-Authenticate",
+      'Basic realm="CopyJedi admin", charset="UTF-8"'
+    );
+    return res.status(401).send("Admin login required");
+  }
+
+  const csrf = csrfToken(admin);
+  if (req.method === "POST") {
+    const given = Buffer.from(String((req.body && req.body.csrf) || ""));
+    const expected = Buffer.from(csrf);
+    if (
+      given.length !== expected.length ||
+      !crypto.timingSafeEqual(given, expected)
+    ) {
+      return res
+        .status(403)
+        .send("This form has expired, reload the page and try again");
+    }
+  }
+
+  req.admin = admin.name;
+  req.csrf = csrf;
+  next();
+}
+
+// A problem with an admin action the admin should be told about
+class AdminError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function recordAdminAction(admin, action, fields, session) {
+  return AdminAction.create([{ admin, action, ...fields }], { session });
+}
+
+// Admin actions, shared by the admin API and the admin pages. Each one is
+// written together with its audit log entry.
+
+async function resetUser(admin, userId, reason) {
+  await mongoose.connection.transaction(async (session) => {
+    const userStats = await PasteStats.findOne({ userId }).session(session);
+    if (!userStats) throw new AdminError(404, "User not found");
+
+    const previous = {
+      totalPastes: userStats.totalPastes,
+      totalLinesPasted: userStats.totalLinesPasted,
+    };
+    for (const { total } of Object.values(DELTA_FIELDS)) {
+      userStats[total] = 0;
+    }
+    userStats.pasteRatio = 0;
+    userStats.dailyStats = [];
+    for (const device of userStats.devices) {
+      device.totalPastes = 0;
+      device.totalLinesPasted = 0;
+    }
+    await userStats.save({ session });
+
+    await recordAdminAction(
+      admin,
+      "reset",
+      { userId, details: { reason, previous } },
+      session
+    );
+  });
+  return { userId };
+}
+
+async function setBanned(admin, userId, banned, reason) {
+  await mongoose.connection.transaction(async (session) => {
+    const { matchedCount } = await PasteStats.updateOne(
+      { userId },
+      banned
+        ? { $set: { banned: true, bannedAt: new Date(), banReason: reason } }
+        : { $set: { banned: false }, $unset: { bannedAt: "", banReason: "" } },
+      { session }
+    );
+    if (matchedCount === 0) throw new AdminError(404, "User not found");
+
+    await recordAdminAction(
+      admin,
+      banned ? "ban" : "unban",
+      { userId, details: { reason } },
+      session
+    );
+  });
+  return { userId, banned };
+}
+
+// Replace a user's name, or clear it when username is empty
+async function renameUser(admin, userId, username) {
+  const name = username || null;
+  if (name) {
+    const problem = usernameProblem(name);
+    if (problem) throw new AdminError(400, problem);
+    if (await isUsernameTaken(name, userId)) {
+      throw new AdminError(409, "That name is already taken");
+    }
+  }
+
   try {
-    const { userId } = req.params;
+    await mongoose.connection.transaction(async (session) => {
+      const userStats = await PasteStats.findOne({ userId }).session(session);
+      if (!userStats) throw new AdminError(404, "User not found");
+
+      const from = userStats.username;
+      userStats.username = name;
+      userStats.usernameKey = name ? name.toLowerCase() : undefined;
+      await userStats.save({ session });
+
+      await recordAdminAction(
+        admin,
+        "rename",
+        { userId, details: { from, to: name } },
+        session
+      );
+    });
+  } catch (error) {
+    // Someone else took the name since the check
+    if (error.code === 11000) {
+      throw new AdminError(409, "That name is already taken");
+    }
+    throw error;
+  }
+  return { userId, username: name };
+}
+
+// Count a quarantined submission after all, or drop it. The user's flag is
+// cleared once none of their submissions are waiting for review.
+async function reviewSubmission(admin, submissionId, approve) {
+  let userId;
+  await mongoose.connection.transaction(async (session) => {
+    const submission = await QuarantinedSubmission.findById(
+      submissionId
+    ).session(session);
+    if (!submission) throw new AdminError(404, "Submission not found");
+    if (submission.status !== "pending") {
+      throw new AdminError(409, `Submission was already ${submission.status}`);
+    }
+    userId = submission.userId;
+
+    const userStats = await PasteStats.findOne({ userId }).session(session);
+    if (approve && !userStats) {
+      throw new AdminError(404, "The submission's user no longer exists");
+    }
+
+    if (approve && submission.endpoint === "v2") {
+      applyDeltas(userStats, submission.payload.deltas, submission.deviceId);
+      userStats.lastActive = new Date();
+    } else if (approve) {
+      // Older versions send lifetime totals. Ones below what the user has
+      // now were overtaken by later submissions and would roll them back.
+      const { totalPastes, totalLinesPasted } = submission.payload;
+      if (
+        totalPastes < userStats.totalPastes ||
+        totalLinesPasted < userStats.totalLinesPasted
+      ) {
+        throw new AdminError(
+          409,
+          "Later submissions have overtaken these totals, reject it instead"
+        );
+      }
+      applyLegacyTotals(userStats, submission.payload);
+    }
+
+    submission.status = approve ? "approved" : "rejected";
+    submission.reviewedAt = new Date();
+    submission.reviewedBy = admin;
+    await submission.save({ session });
+
+    if (userStats) {
+      const stillPending = await QuarantinedSubmission.exists({
+        userId,
+        status: "pending",
+      }).session(session);
+      if (!stillPending) {
+        userStats.flagged = false;
+        userStats.flaggedAt = undefined;
+      }
+      await userStats.save({ session });
+    }
+
+    await recordAdminAction(
+      admin,
+      approve ? "approve-submission" : "reject-submission",
+      { userId, submissionId, details: { reasons: submission.reasons } },
+      session
+    );
+  });
+  return { submissionId, userId, status: approve ? "approved" : "rejected" };
+}
+
+// Users matching a search on name or exact user ID, optionally only flagged
+// or banned ones
+async function findUsersForAdmin({ search, status, page }) {
+  const filter = {};
+  if (search) {
+    filter.$or = [
+      { userId: search },
+      {
+        username: {
+          $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+          $options: "i",
+        },
+      },
+    ];
+  }
+  if (status === "flagged") filter.flagged = true;
+  if (status === "banned") filter.banned = true;
+
+  const [users, total] = await Promise.all([
+    PasteStats.find(filter)
+      .sort({ lastActive: -1, _id: 1 })
+      .skip((page - 1) * ADMIN_PAGE_SIZE)
+      .limit(ADMIN_PAGE_SIZE)
+      .select(
+        "-_id userId username totalPastes totalLinesPasted lastActive sharing flagged banned"
+      )
+      .lean(),
+    PasteStats.countDocuments(filter),
+  ]);
+  return { users, total };
+}
+
+// Everything about one user an admin needs, without token hashes
+async function findUserForAdmin(userId) {
+  const [user, submissions, actions] = await Promise.all([
+    PasteStats.findOne({ userId }).select("-_id -__v").lean(),
+    QuarantinedSubmission.find({ userId }).sort({ receivedAt: -1 }).lean(),
+    AdminAction.find({ userId }).sort({ at: -1 }).limit(ADMIN_PAGE_SIZE).lean(),
+  ]);
+  if (!user) throw new AdminError(404, "User not found");
+  return { user, submissions, actions };
+}
+
+async function findSubmissionsForAdmin({ status, page }) {
+  const filter = status ? { status } : {};
+  const [submissions, total] = await Promise.all([
+    QuarantinedSubmission.find(filter)
+      .sort({ receivedAt: -1 })
+      .skip((page - 1) * ADMIN_PAGE_SIZE)
+      .limit(ADMIN_PAGE_SIZE)
+      .lean(),
+    QuarantinedSubmission.countDocuments(filter),
+  ]);
+  return { submissions, total };
+}
+
+async function findAdminActions({ userId, page }) {
+  const filter = userId ? { userId } : {};
+  const [actions, total] = await Promise.all([
+    AdminAction.find(filter)
+      .sort({ at: -1 })
+      .skip((page - 1) * ADMIN_PAGE_SIZE)
+      .limit(ADMIN_PAGE_SIZE)
+      .lean(),
+    AdminAction.countDocuments(filter),
+  ]);
+  return { actions, total };
+}
+
+function sendAdminError(res, error) {
+  if (error instanceof AdminError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error("Error in admin API:", error);
+  res.status(500).json({ error: "Server error" });
+}
+
+const ADMIN_PAGE = { type: "integer", min: 1, max: 10000, default: 1 };
+const SUBMISSION_PARAMS = {
+  submissionId: {
+    type: "string",
+    required: true,
+    pattern: OBJECT_ID_PATTERN,
+    patternMessage: "must be a submission ID",
+  },
+};
+const ADMIN_USER_QUERY = {
+  search: { type: "string", trim: true, maxLength: 100 },
+  status: { type: "string", enum: ["", "flagged", "banned"] },
+  page: ADMIN_PAGE,
+};
+const SUBMISSION_QUERY = {
+  status: { type: "string", enum: ["", "pending", "approved", "rejected"] },
+  page: ADMIN_PAGE,
+};
+const AUDIT_QUERY = { userId: OPTIONAL_USER_ID, page: ADMIN_PAGE };
+// What the user actions take: a reason for the log, or the new name
+const ADMIN_ACTION_BODY = {
+  reason: { type: "string", trim: true, maxLength: 500 },
+  username: { type: "string", trim: true, maxLength: 100 },
+};
+const ADMIN_USER_ACTIONS = {
+  reset: (admin, userId, body) => resetUser(admin, userId, body.reason),
+  ban: (admin, userId, body) => setBanned(admin, userId, true, body.reason),
+  unban: (admin, userId, body) => setBanned(admin, userId, false, body.reason),
+  rename: (admin, userId, body) => renameUser(admin, userId, body.username),
+};
+
+// Admin API
+
+app.get(
+  "/api/admin/users",
+  requireAdmin,
+  validate({ query: ADMIN_USER_QUERY }),
+  async (req, res) => {
+    try {
+      const { users, total } = await findUsersForAdmin(req.query);
+      res.set("X-Total-Count", String(total));
+      res.status(200).json(users);
+    } catch (error) {
+      sendAdminError(res, error);
+    }
+  }
+);
+
+app.get(
+  "/api/admin/users/:userId",
+  requireAdmin,
+  validate({ params: USER_PARAMS }),
+  async (req, res) => {
+    try {
+      res.status(200).json(await findUserForAdmin(req.params.userId));
+    } catch (error) {
+      sendAdminError(res, error);
+    }
+  }
+);
+
+for (const [action, run] of Object.entries(ADMIN_USER_ACTIONS)) {
+  app.post(
+    `/api/admin/users/:userId/${action}`,
+    requireAdmin,
+    validate({ params: USER_PARAMS, body: ADMIN_ACTION_BODY }),
+    async (req, res) => {
+      try {
+        res.status(200).json(await run(req.admin, req.params.userId, req.body));
+      } catch (error) {
+        sendAdminError(res, error);
+      }
+    }
+  );
+}
+
+app.get(
+  "/api/admin/quarantine",
+  requireAdmin,
+  validate({ query: SUBMISSION_QUERY }),
+  async (req, res) => {
+    try {
+      const { submissions, total } = await findSubmissionsForAdmin(req.query);
+      res.set("X-Total-Count", String(total));
+      res.status(200).json(submissions);
+    } catch (error) {
+      sendAdminError(res, error);
+    }
+  }
+);
+
+for (const decision of ["approve", "reject"]) {
+  app.post(
+    `/api/admin/quarantine/:submissionId/${decision}`,
+    requireAdmin,
+    validate({ params: SUBMISSION_PARAMS }),
+    async (req, res) => {
+      try {
+        res
+          .status(200)
+          .json(
+            await reviewSubmission(
+              req.admin,
+              req.params.submissionId,
+              decision === "approve"
+            )
+          );
+      } catch (error) {
+        sendAdminError(res, error);
+      }
+    }
+  );
+}
+
+app.get(
+  "/api/admin/audit",
+  requireAdmin,
+  validate({ query: AUDIT_QUERY }),
+  async (req, res) => {
+    try {
+      const { actions, total } = await findAdminActions(req.query);
+      res.set("X-Total-Count", String(total));
+      res.status(200).json(actions);
+    } catch (error) {
+      sendAdminError(res, error);
+    }
+  }
+);
+
+// Admin pages
+
+function formatDate(date) {
+  return date
+    ? new Date(date).toISOString().replace("T", " ").slice(0, 16)
+    : "";
+}
+
+function userLink(userId, label) {
+  return `<a href="/admin/users/${encodeURIComponent(userId)}">${escapeHtml(
+    label || userId
+  )}</a>`;
+}
+
+// A form with one button that posts to an admin action
+function actionForm(req, action, label, fields = "") {
+  return `
+    <form method="post" action="${escapeHtml(action)}" class="inline">
+      <input type="hidden" name="csrf" value="${req.csrf}">
+      ${fields}
+      <button type="submit">${escapeHtml(label)}</button>
+    </form>`;
+}
 
-    const userStats = await PasteStats.findOne({ userId });
+// Links to the other pages of a paged list
+function pager(req, page, total) {
+  const pages = Math.max(1, Math.ceil(total / ADMIN_PAGE_SIZE));
+  const link = (target, label) => {
+    const query = new URLSearchParams({ ...req.query, page: target });
+    return `<a href="${escapeHtml(`${req.path}?${query}`)}">${label}</a>`;
+  };
+  return `
+    <p>
+      ${page > 1 ? link(page - 1, "Previous") : ""}
+      Page ${page} of ${pages} (${total})
+      ${page < pages ? link(page + 1, "Next") : ""}
+    </p>`;
+}
+
+function adminPage(req, title, content) {
+  return `
+    <html>
+      <head>
+        <title>${escapeHtml(title)} - CopyJedi Admin</title>
+        <style>
+          body { font-family: Arial, sans-serif; max-width: 1000px; margin: 0 auto; padding: 20px; }
+          h1, h2 { color: #2C974B; }
+          nav a { margin-right: 15px; }
+          table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+          th, td { text-align: left; padding: 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+          th { background-color: #2C974B; color: white; }
+          tr:nth-child(even) { background-color: #f9f9f9; }
+          .inline { display: inline-block; margin: 0 8px 8px 0; }
+          .error { color: #c62828; }
+          .flag { color: #c62828; font-weight: bold; }
+          pre { white-space: pre-wrap; margin: 0; }
+        </style>
+      </head>
+      <body>
+        <nav>
+          <a href="/admin">Users</a>
+          <a href="/admin/quarantine">Quarantine</a>
+          <a href="/admin/audit">Audit log</a>
+          <a href="/leaderboard">Public leaderboard</a>
+          <span>Signed in as ${escapeHtml(req.admin)}</span>
+        </nav>
+        <h1>${escapeHtml(title)}</h1>
+        ${content}
+      </body>
+    </html>
+  `;
+}
+
+function sendAdminPageError(req, res, error, back) {
+  if (!(error instanceof AdminError)) {
+    console.error("Error in admin pages:", error);
+  }
+  const status = error instanceof AdminError ? error.status : 500;
+  const message = error instanceof AdminError ? error.message : "Server error";
+  res
+    .status(status)
+    .send(
+      adminPage(
+        req,
+        "Something went wrong",
+        `<p class="error">${escapeHtml(message)}</p><p><a href="${escapeHtml(
+          back
+        )}">Back</a></p>`
+      )
+    );
+}
+
+function userFlags(user) {
+  return [
+    user.banned ? '<span class="flag">banned</span>' : "",
+    user.flagged ? '<span class="flag">flagged</span>' : "",
+  ].join(" ");
+}
+
+function submissionRows(req, submissions, returnTo) {
+  return submissions
+    .map(
+      (submission) => `
+        <tr>
+          <td>${formatDate(submission.receivedAt)}</td>
+          <td>${userLink(submission.userId)}</td>
+          <td>${escapeHtml(submission.endpoint)}</td>
+          <td>${submission.reasons.map(escapeHtml).join("<br>")}</td>
+          <td><pre>${escapeHtml(
+            JSON.stringify(submission.payload, null, 2)
+          )}</pre></td>
+          <td>
+            ${
+              submission.status === "pending"
+                ? ["approve", "reject"]
+                    .map((decision) =>
+                      actionForm(
+                        req,
+                        `/admin/quarantine/${submission._id}/${decision}`,
+                        decision === "approve" ? "Approve" : "Reject",
+                        `<input type="hidden" name="returnTo" value="${escapeHtml(
+                          returnTo
+                        )}">`
+                      )
+                    )
+                    .join("")
+                : `${escapeHtml(submission.status)} by ${escapeHtml(
+                    submission.reviewedBy
+                  )}`
+            }
+          </td>
+        </tr>`
+    )
+    .join("");
+}
+
+function actionRows(actions) {
+  return actions
+    .map(
+      (action) => `
+        <tr>
+          <td>${formatDate(action.at)}</td>
+          <td>${escapeHtml(action.admin)}</td>
+          <td>${escapeHtml(action.action)}</td>
+          <td>${action.userId ? userLink(action.userId) : ""}</td>
+          <td><pre>${escapeHtml(
+            action.details ? JSON.stringify(action.details) : ""
+          )}</pre></td>
+        </tr>`
+    )
+    .join("");
+}
+
+const SUBMISSION_HEADER = `
+  <tr>
+    <th>Received</th>
+    <th>User</th>
+    <th>Endpoint</th>
+    <th>Reasons</th>
+    <th>Payload</th>
+    <th>Review</th>
+  </tr>`;
+const ACTION_HEADER = `
+  <tr>
+    <th>When</th>
+    <th>Admin</th>
+    <th>Action</th>
+    <th>User</th>
+    <th>Details</th>
+  </tr>`;
 
-    if (!userStats) {
-      return res.status(404).json({
-        message: "User not found",
+const adminForms = express.urlencoded({ extended: false });
+
+app.get(
+  "/admin",
+  requireAdminPage,
+  validate({ query: ADMIN_USER_QUERY }),
+  async (req, res) => {
+    try {
+      const { search = "", status = "", page } = req.query;
+      const { users, total } = await findUsersForAdmin(req.query);
+      const pending = await QuarantinedSubmission.countDocuments({
+        status: "pending",
       });
+
+      res.send(
+        adminPage(
+          req,
+          "Users",
+          `
+          <p><a href="/admin/quarantine">${pending} submission(s) waiting for review</a></p>
+          <form method="get" action="/admin">
+            <input name="search" value="${escapeHtml(
+              search
+            )}" placeholder="Name or user ID">
+            <select name="status">
+              ${["", "flagged", "banned"]
+                .map(
+                  (value) =>
+                    `<option value="${value}"${
+                      value === status ? " selected" : ""
+                    }>${value || "All users"}</option>`
+                )
+                .join("")}
+            </select>
+            <button type="submit">Search</button>
+          </form>
+          <table>
+            <tr>
+              <th>User</th>
+              <th>Name</th>
+              <th>Pastes</th>
+              <th>Lines</th>
+              <th>Last Active</th>
+              <th>Status</th>
+            </tr>
+            ${users
+              .map(
+                (user) => `
+              <tr>
+                <td>${userLink(user.userId)}</td>
+                <td>${escapeHtml(user.username)}</td>
+                <td>${user.totalPastes}</td>
+                <td>${user.totalLinesPasted}</td>
+                <td>${formatDate(user.lastActive)}</td>
+                <td>${escapeHtml(user.sharing)} ${userFlags(user)}</td>
+              </tr>`
+              )
+              .join("")}
+          </table>
+          ${pager(req, page, total)}
+          `
+        )
+      );
+    } catch (error) {
+      sendAdminPageError(req, res, error, "/admin");
+    }
+  }
+);
+
+app.get(
+  "/admin/users/:userId",
+  requireAdminPage,
+  validate({ params: USER_PARAMS }),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { user, submissions, actions } = await findUserForAdmin(userId);
+      const base = `/admin/users/${encodeURIComponent(userId)}`;
+      const reasonField =
+        '<input name="reason" maxlength="500" placeholder="Reason (for the log)">';
+
+      res.send(
+        adminPage(
+          req,
+          user.username || userId,
+          `
+          <p>
+            User ID: ${escapeHtml(userId)}<br>
+            Sharing: ${escapeHtml(user.sharing)} ${userFlags(user)}<br>
+            ${
+              user.banned
+                ? `Banned ${formatDate(user.bannedAt)}: ${escapeHtml(
+                    user.banReason
+                  )}<br>`
+                : ""
+            }
+            Pastes: ${user.totalPastes}, lines: ${user.totalLinesPasted},
+            typed lines: ${user.typedLines}<br>
+            Last active: ${formatDate(user.lastActive)}
+          </p>
+
+          <h2>Moderation</h2>
+          ${actionForm(
+            req,
+            `${base}/rename`,
+            "Rename",
+            `<input name="username" maxlength="${USERNAME_MAX_LENGTH}" value="${escapeHtml(
+              user.username
+            )}" placeholder="Empty to remove the name">`
+          )}
+          ${actionForm(req, `${base}/reset`, "Reset stats", reasonField)}
+          ${
+            user.banned
+              ? actionForm(req, `${base}/unban`, "Unban", reasonField)
+              : actionForm(req, `${base}/ban`, "Ban", reasonField)
+          }
+
+          <h2>Daily Stats</h2>
+          <table>
+            <tr>
+              <th>Date</th>
+              <th>Pastes</th>
+              <th>Lines</th>
+              <th>Kept</th>
+              <th>Adapted</th>
+              <th>Chars Pasted</th>
+              <th>Chars Typed</th>
+              <th>Lines Typed</th>
+            </tr>
+            ${[...user.dailyStats]
+              .reverse()
+              .map(
+                (day) => `
+              <tr>
+                <td>${escapeHtml(day.date)}</td>
+                <td>${day.pastes || 0}</td>
+                <td>${day.lines || 0}</td>
+                <td>${day.keptPastes || 0}</td>
+                <td>${day.adaptedPastes || 0}</td>
+                <td>${day.pastedChars || 0}</td>
+                <td>${day.typedChars || 0}</td>
+                <td>${day.typedLines || 0}</td>
+              </tr>`
+              )
+              .join("")}
+          </table>
+
+          <h2>Devices</h2>
+          <table>
+            <tr>
+              <th>Name</th>
+              <th>OS</th>
+              <th>Pastes</th>
+              <th>Linked</th>
+              <th>Last Active</th>
+            </tr>
+            ${user.devices
+              .map(
+                (device) => `
+              <tr>
+                <td>${escapeHtml(device.name)}</td>
+                <td>${escapeHtml(device.os)}</td>
+                <td>${device.totalPastes}</td>
+                <td>${formatDate(device.linkedAt)}</td>
+                <td>${formatDate(device.lastActive)}</td>
+              </tr>`
+              )
+              .join("")}
+          </table>
+
+          <h2>Quarantined Submissions</h2>
+          <table>
+            ${SUBMISSION_HEADER}
+            ${submissionRows(req, submissions, base)}
+          </table>
+
+          <h2>Audit Log</h2>
+          <table>
+            ${ACTION_HEADER}
+            ${actionRows(actions)}
+          </table>
+          `
+        )
+      );
+    } catch (error) {
+      sendAdminPageError(req, res, error, "/admin");
+    }
+  }
+);
+
+for (const [action, run] of Object.entries(ADMIN_USER_ACTIONS)) {
+  app.post(
+    `/admin/users/:userId/${action}`,
+    adminForms,
+    requireAdminPage,
+    validate({ params: USER_PARAMS, body: ADMIN_ACTION_BODY }),
+    async (req, res) => {
+      const back = `/admin/users/${encodeURIComponent(req.params.userId)}`;
+      try {
+        await run(req.admin, req.params.userId, req.body);
+        res.redirect(303, back);
+      } catch (error) {
+        sendAdminPageError(req, res, error, back);
+      }
     }
+  );
+}
+
+app.get(
+  "/admin/quarantine",
+  requireAdminPage,
+  validate({ query: SUBMISSION_QUERY }),
+  async (req, res) => {
+    try {
+      const { status = "pending", page } = req.query;
+      const { submissions, total } = await findSubmissionsForAdmin({
+        status,
+        page,
+      });
 
-    const lastSync = userStats.lastActive;
-    const now = new Date();
-    const timeSinceLastSync = Math.round((now - lastSync) / 1000);
+      res.send(
+        adminPage(
+          req,
+          "Quarantine",
+          `
+          <form method="get" action="/admin/quarantine">
+            <select name="status">
+              ${["pending", "approved", "rejected", ""]
+                .map(
+                  (value) =>
+                    `<option value="${value}"${
+                      value === status ? " selected" : ""
+                    }>${value || "All"}</option>`
+                )
+                .join("")}
+            </select>
+            <button type="submit">Show</button>
+          </form>
+          <table>
+            ${SUBMISSION_HEADER}
+            ${submissionRows(req, submissions, "/admin/quarantine")}
+          </table>
+          ${pager(req, page, total)}
+          `
+        )
+      );
+    } catch (error) {
+      sendAdminPageError(req, res, error, "/admin");
+    }
+  }
+);
 
-    return res.status(200).json({
-      lastSync,
-      timeSinceLastSync: `${timeSinceLastSync} seconds`,
-      lastStats: {
-        totalPastes: userStats.totalPastes,
-        totalLinesPasted: userStats.totalLinesPasted,
+for (const decision of ["approve", "reject"]) {
+  app.post(
+    `/admin/quarantine/:submissionId/${decision}`,
+    adminForms,
+    requireAdminPage,
+    validate({
+      params: SUBMISSION_PARAMS,
+      body: {
+        returnTo: {
+          type: "string",
+          maxLength: 200,
+          pattern: /^\/admin(\/|$)/,
+          default: "/admin/quarantine",
+        },
       },
-    });
-  } catch (error) {
-    console.error("Error checking sync status:", error);
-    res.status(500).json({ error: "Server error" });
+    }),
+    async (req, res) => {
+      try {
+        await reviewSubmission(
+          req.admin,
+          req.params.submissionId,
+          decision === "approve"
+        );
+        res.redirect(303, req.body.returnTo);
+      } catch (error) {
+        sendAdminPageError(req, res, error, req.body.returnTo);
+      }
+    }
+  );
+}
+
+app.get(
+  "/admin/audit",
+  requireAdminPage,
+  validate({ query: AUDIT_QUERY }),
+  async (req, res) => {
+    try {
+      const { actions, total } = await findAdminActions(req.query);
+      res.send(
+        adminPage(
+          req,
+          "Audit Log",
+          `
+          <table>
+            ${ACTION_HEADER}
+            ${actionRows(actions)}
+          </table>
+          ${pager(req, req.query.page, total)}
+          `
+        )
+      );
+    } catch (error) {
+      sendAdminPageError(req, res, error, "/admin");
+    }
+  }
+);
+
+// Add this route to check sync status
+app.get(
+  "/api/syncStatus/:userId",
+  validate({ params: USER_PARAMS }),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const userStats = await PasteStats.findOne({ userId });
+
+      if (!userStats) {
+        return res.status(404).json({
+          message: "User not found",
+        });
+      }
+
+      const lastSync = userStats.lastActive;
+      const now = new Date();
+      const timeSinceLastSync = Math.round((now - lastSync) / 1000);
+
+      return res.status(200).json({
+        lastSync,
+        timeSinceLastSync: `${timeSinceLastSync} seconds`,
+        lastStats: {
+          totalPastes: userStats.totalPastes,
+          totalLinesPasted: userStats.totalLinesPasted,
+        },
+      });
+    } catch (error) {
+      console.error("Error checking sync status:", error);
+      res.status(500).json({ error: "Server error" });
+    }
   }
+);
+
+// Unknown API routes get an answer, not the web app
+app.use("/api", (req, res) => {
+  res.status(404).json({ error: "Not found" });
 });
 
 // Replace your catchall handler with this simpler version
@@ -463,9 +3590,49 @@ app.use((req, res) => {
   res.sendFile(path.join(__dirname, "../client/build/index.html"));
 });
 
-// Start server
-app.listen(port, () => {
-  console.log(`CopyJedi leaderboard API running on port ${port}`);
+// Bodies that aren't JSON, or are too big, get the same kind of answer as
+// any other invalid request
+app.use((error, req, res, next) => {
+  if (error.type === "entity.parse.failed") {
+    return res.status(400).json({
+      error: "Invalid request",
+      fields: { body: "must be valid JSON" },
+    });
+  }
+  if (error.type === "entity.too.large") {
+    return res.status(413).json({ error: "Request body is too large" });
+  }
+  next(error);
 });
 
+// Start server. The tests load this file for its routes and rules without
+// connecting to anything.
+if (require.main === module) {
+  // Without it every restart would change everyone's public id
+  if (process.env.NODE_ENV === "production" && !process.env.PUBLIC_ID_SECRET) {
+    console.error("PUBLIC_ID_SECRET must be set in production");
+    process.exit(1);
+  }
+
+  // Database connection
+  mongoose.connect(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: 30000, // Increase timeout to 30 seconds
+    socketTimeoutMS: 45000,
+  });
+  monitorChanges().catch(console.error);
+
+  app.listen(port, () => {
+    console.log(`CopyJedi leaderboard API running on port ${port}`);
+  });
+}
+
 module.exports = app; // For testing
+Object.assign(module.exports, {
+  validate,
+  isCalendarDate,
+  deltaProblems,
+  totalsProblems,
+  periodRange,
+  customRangeProblems,
+  findRanks,
+});
@@ -0,0 +1,63 @@
+const assert = require("assert");
+const { suite, test } = require("mocha");
+const { periodRange, customRangeProblems } = require("../server");
+
+const NOW = new Date("2026-10-19T12:00:00Z");
+
+suite("periodRange", () => {
+  test("today is the current UTC day", () => {
+    assert.deepStrictEqual(periodRange("today", NOW), {
+      from: "2026-10-19",
+      to: "2026-10-19",
+    });
+  });
+
+  test("weeks start on Monday", () => {
+    // A Sunday evening, still Sunday in UTC
+    const sunday = new Date("2026-10-18T23:00:00Z");
+    assert.deepStrictEqual(periodRange("week", sunday), {
+      from: "2026-10-12",
+      to: "2026-10-18",
+    });
+    assert.deepStrictEqual(periodRange("week", NOW), {
+      from: "2026-10-19",
+      to: "2026-10-19",
+    });
+  });
+
+  test("weeks can start in the previous month", () => {
+    assert.deepStrictEqual(
+      periodRange("week", new Date("2026-10-01T00:00:00Z")),
+      { from: "2026-09-28", to: "2026-10-01" }
+    );
+  });
+
+  test("months run from the 1st up to today", () => {
+    assert.deepStrictEqual(periodRange("month", NOW), {
+      from: "2026-10-01",
+      to: "2026-10-19",
+    });
+  });
+});
+
+suite("customRangeProblems", () => {
+  test("needs both ends", () => {
+    assert.deepStrictEqual(
+      Object.keys(customRangeProblems(undefined, "2026-10-19")),
+      ["query.from"]
+    );
+  });
+
+  test("takes a range of up to 366 days", () => {
+    assert.deepStrictEqual(customRangeProblems("2025-10-20", "2026-10-20"), {});
+    assert.deepStrictEqual(customRangeProblems("2025-10-19", "2026-10-20"), {
+      "query.to": "must be at most 365 days after from",
+    });
+  });
+
+  test("rejects ranges that end before they start", () => {
+    assert.deepStrictEqual(customRangeProblems("2026-10-19", "2026-10-18"), {
+      "query.to": "must not be before from",
+    });
+  });
+});
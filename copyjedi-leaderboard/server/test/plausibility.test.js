@@ -0,0 +1,201 @@
+const assert = require("assert");
+const { suite, test } = require("mocha");
+const { isCalendarDate, deltaProblems, totalsProblems } = require("../server");
+
+const NOW = new Date("2026-10-19T12:00:00Z");
+
+suite("isCalendarDate", () => {
+  test("takes real dates only", () => {
+    assert.ok(isCalendarDate("2024-02-29"));
+    assert.ok(!isCalendarDate("2026-02-29"));
+    assert.ok(!isCalendarDate("2024-13-45"));
+    assert.ok(!isCalendarDate("2026-1-5"));
+  });
+});
+
+suite("deltaProblems", () => {
+  const userStats = {
+    dailyStats: [{ date: "2026-10-18", pastes: 4990, lines: 100 }],
+  };
+
+  test("accepts ordinary deltas", () => {
+    assert.deepStrictEqual(
+      deltaProblems(
+        userStats,
+        [{ date: "2026-10-19", pastes: 10, lines: 50 }],
+        NOW
+      ),
+      []
+    );
+  });
+
+  test("adds the deltas to what the day already has", () => {
+    const problems = deltaProblems(
+      userStats,
+      [
+        { date: "2026-10-18", pastes: 5, lines: 0 },
+        { date: "2026-10-18", pastes: 6, lines: 0 },
+      ],
+      NOW
+    );
+    assert.deepStrictEqual(problems, ["2026-10-18: more than 5000 pastes"]);
+  });
+
+  test("catches day totals going below zero", () => {
+    const problems = deltaProblems(
+      userStats,
+      [{ date: "2026-10-18", pastes: -5000, lines: -200 }],
+      NOW
+    );
+    assert.deepStrictEqual(problems, ["2026-10-18: totals went below zero"]);
+  });
+
+  test("catches too many lines per paste", () => {
+    const problems = deltaProblems(
+      { dailyStats: [] },
+      [{ date: "2026-10-19", pastes: 1, lines: 2001 }],
+      NOW
+    );
+    assert.deepStrictEqual(problems, [
+      "2026-10-19: more than 2000 lines per paste",
+    ]);
+  });
+
+  test("bounds the counts that go with the pastes", () => {
+    const problems = deltaProblems(
+      { dailyStats: [] },
+      [
+        {
+          date: "2026-10-19",
+          pastes: 2,
+          lines: 3,
+          keptPastes: 2,
+          adaptedPastes: 1,
+          pastedChars: 30001,
+          typedChars: 500001,
+          typedLines: 10,
+        },
+      ],
+      NOW
+    );
+    assert.deepStrictEqual(problems, [
+      "2026-10-19: more than 500000 typed characters",
+      "2026-10-19: more kept and adapted pastes than pastes",
+      "2026-10-19: more than 10000 characters per pasted line",
+    ]);
+  });
+
+  test("catches any day total going below zero", () => {
+    const problems = deltaProblems(
+      { dailyStats: [{ date: "2026-10-18", typedChars: 10, typedLines: 2 }] },
+      [{ date: "2026-10-18", typedChars: -20, typedLines: -12 }],
+      NOW
+    );
+    assert.deepStrictEqual(problems, ["2026-10-18: totals went below zero"]);
+  });
+
+  test("allows a day of clock skew but no more", () => {
+    const deltas = (date) => [{ date, pastes: 1, lines: 1 }];
+    assert.deepStrictEqual(
+      deltaProblems(userStats, deltas("2026-10-20"), NOW),
+      []
+    );
+    assert.deepStrictEqual(
+      deltaProblems(userStats, deltas("2026-10-21"), NOW),
+      ["2026-10-21: date is in the future"]
+    );
+  });
+
+  test("doesn't go back more than a year", () => {
+    const deltas = [
+      { date: "2025-10-19", pastes: 1, lines: 1 },
+      { date: "2025-10-18", pastes: 1, lines: 1 },
+    ];
+    assert.deepStrictEqual(deltaProblems({ dailyStats: [] }, deltas, NOW), [
+      "2025-10-18: more than 365 days ago",
+    ]);
+  });
+
+  test("caps what one submission adds up to over many days", () => {
+    const deltas = Array.from({ length: 20 }, (_, index) => ({
+      date: `2026-09-${String(index + 1).padStart(2, "0")}`,
+      pastes: 4000,
+      lines: 4000,
+    }));
+    assert.deepStrictEqual(deltaProblems({ dailyStats: [] }, deltas, NOW), [
+      "more than 50000 pastes at once",
+    ]);
+  });
+});
+
+suite("totalsProblems", () => {
+  const previous = {
+    totalPastes: 100,
+    totalLinesPasted: 1000,
+    lastActive: new Date("2026-10-17T12:00:00Z"),
+  };
+
+  test("accepts growth within the daily limits", () => {
+    assert.deepStrictEqual(
+      totalsProblems(
+        previous,
+        { totalPastes: 9000, totalLinesPasted: 20000 },
+        NOW
+      ),
+      []
+    );
+  });
+
+  test("limits growth by the days since the last submission", () => {
+    assert.deepStrictEqual(
+      totalsProblems(
+        previous,
+        { totalPastes: 10101, totalLinesPasted: 20000 },
+        NOW
+      ),
+      ["more than 10000 pastes since the last submission"]
+    );
+  });
+
+  test("caps the totals a new user starts with", () => {
+    assert.deepStrictEqual(
+      totalsProblems(
+        null,
+        { totalPastes: 5000 * 365, totalLinesPasted: 5000 * 365 },
+        NOW
+      ),
+      ["more than 50000 pastes since the last submission"]
+    );
+  });
+
+  test("bounds the counts that go with the pastes", () => {
+    assert.deepStrictEqual(
+      totalsProblems(
+        { ...previous, typedChars: 0 },
+        {
+          totalPastes: 200,
+          totalLinesPasted: 2000,
+          keptPastes: 150,
+          adaptedPastes: 60,
+          totalCharsPasted: 20000001,
+          typedChars: 1000001,
+          typedLines: 5000,
+        },
+        NOW
+      ),
+      [
+        "more than 500000 typed characters a day since the last submission",
+        "more kept and adapted pastes than pastes",
+        "more than 10000 characters per pasted line",
+      ]
+    );
+  });
+
+  test("catches totals going down within a day", () => {
+    const today = { ...previous, lastActive: new Date("2026-10-19T08:00:00Z") };
+    assert.deepStrictEqual(
+      totalsProblems(today, { totalPastes: 99, totalLinesPasted: 1000 }, NOW),
+      ["totals went down within a day"]
+    );
+  });
+});
@@ -0,0 +1,409 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const { suite, suiteSetup, suiteTeardown, setup, test } = require("mocha");
+const mongoose = require("mongoose");
+const request = require("supertest");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+const app = require("../server");
+const { findRanks } = app;
+
+const ADMIN_TOKEN = "admin-test-token";
+const TODAY = new Date().toISOString().slice(0, 10);
+
+async function register(userId = crypto.randomUUID()) {
+  const res = await request(app)
+    .post("/api/register")
+    .send({ userId, deviceName: "Test machine" })
+    .expect(201);
+  return { userId, token: res.body.token, deviceId: res.body.deviceId };
+}
+
+function submit({ userId, token }, deltas) {
+  return request(app)
+    .post("/api/v2/submit")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ userId, deltas });
+}
+
+function delta(fields = {}) {
+  return {
+    key: crypto.randomUUID(),
+    date: TODAY,
+    pastes: 2,
+    lines: 10,
+    ...fields,
+  };
+}
+
+async function totalPastes(userId) {
+  const res = await request(app).get(`/api/user/${userId}`).expect(200);
+  return res.body.totalPastes;
+}
+
+function users() {
+  return mongoose.connection.collection("pastestats");
+}
+
+// Routes run against a real database, as submissions, pairing and the admin
+// actions use transactions. Set MONGODB_TEST_URI to use a replica set of
+// your own instead of a throwaway one.
+suite("routes", () => {
+  let replSet = null;
+
+  suiteSetup(async function () {
+    this.timeout(120000);
+    let uri = process.env.MONGODB_TEST_URI;
+    if (!uri) {
+      replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+      uri = replSet.getUri();
+    }
+    await mongoose.connect(uri);
+    await mongoose.connection.syncIndexes();
+  });
+
+  suiteTeardown(async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+  });
+
+  setup(async () => {
+    await Promise.all(
+      Object.values(mongoose.connection.collections).map((collection) =>
+        collection.deleteMany({})
+      )
+    );
+  });
+
+  suite("POST /api/register", () => {
+    test("issues a token for a new user ID", async () => {
+      const user = await register();
+      assert.ok(user.token);
+      assert.ok(user.deviceId);
+    });
+
+    test("refuses a user ID that is already registered", async () => {
+      const { userId } = await register();
+      await request(app).post("/api/register").send({ userId }).expect(409);
+    });
+
+    test("doesn't hand out legacy records", async () => {
+      await users().insertOne({
+        userId: "user_abc123xyz",
+        totalPastes: 500,
+        devices: [],
+      });
+
+      await request(app)
+        .post("/api/register")
+        .send({ userId: "user_abc123xyz" })
+        .expect(409);
+      const legacy = await users().findOne({ userId: "user_abc123xyz" });
+      assert.deepStrictEqual(legacy.devices, []);
+    });
+  });
+
+  suite("token auth", () => {
+    test("write routes need a token", async () => {
+      const { userId } = await register();
+      await request(app)
+        .post("/api/v2/submit")
+        .send({ userId, deltas: [delta()] })
+        .expect(401);
+    });
+
+    test("a token only works for its own user", async () => {
+      const alice = await register();
+      const bob = await register();
+      await submit({ userId: bob.userId, token: alice.token }, [
+        delta(),
+      ]).expect(401);
+      await submit({ ...alice, token: "not-a-token" }, [delta()]).expect(401);
+    });
+
+    test("a rotated token replaces the old one", async () => {
+      const user = await register();
+      const res = await request(app)
+        .post(`/api/user/${user.userId}/token`)
+        .set("Authorization", `Bearer ${user.token}`)
+        .expect(200);
+
+      await submit(user, [delta()]).expect(401);
+      await submit({ ...user, token: res.body.token }, [delta()]).expect(200);
+    });
+
+    test("banned users can't submit", async () => {
+      const user = await register();
+      await users().updateOne(
+        { userId: user.userId },
+        { $set: { banned: true } }
+      );
+      await submit(user, [delta()]).expect(403);
+    });
+  });
+
+  suite("POST /api/v2/submit", () => {
+    test("applies each delta once", async () => {
+      const user = await register();
+      const deltas = [delta(), delta({ pastes: 3, lines: 5 })];
+
+      const first = await submit(user, deltas).expect(200);
+      assert.strictEqual(first.body.accepted.length, 2);
+
+      const replay = await submit(user, [...deltas, delta()]).expect(200);
+      assert.deepStrictEqual(replay.body.duplicates, [
+        deltas[0].key,
+        deltas[1].key,
+      ]);
+      assert.strictEqual(replay.body.accepted.length, 1);
+      assert.strictEqual(await totalPastes(user.userId), 7);
+    });
+
+    test("quarantines implausible deltas and doesn't count them on replay", async () => {
+      const user = await register();
+      const deltas = [delta({ pastes: 6000, lines: 6000 })];
+
+      const res = await submit(user, deltas).expect(202);
+      assert.deepStrictEqual(res.body.quarantined, [deltas[0].key]);
+      const flagged = await users().findOne({ userId: user.userId });
+      assert.strictEqual(flagged.flagged, true);
+      assert.strictEqual(flagged.totalPastes, 0);
+
+      const replay = await submit(user, deltas).expect(200);
+      assert.deepStrictEqual(replay.body.duplicates, [deltas[0].key]);
+    });
+  });
+
+  suite("pairing", () => {
+    async function pairingCode(user) {
+      const res = await request(app)
+        .post(`/api/user/${user.userId}/pairing-code`)
+        .set("Authorization", `Bearer ${user.token}`)
+        .expect(201);
+      return res.body.code;
+    }
+
+    test("links a device that then adds to the same account", async () => {
+      const user = await register();
+      const code = await pairingCode(user);
+
+      const res = await request(app)
+        .post("/api/pair")
+        .send({ code: code.toLowerCase(), deviceName: "Laptop" })
+        .expect(200);
+      assert.strictEqual(res.body.userId, user.userId);
+
+      await submit(user, [delta()]).expect(200);
+      await submit({ userId: user.userId, token: res.body.token }, [
+        delta(),
+      ]).expect(200);
+      assert.strictEqual(await totalPastes(user.userId), 4);
+    });
+
+    test("codes work once", async () => {
+      const code = await pairingCode(await register());
+      await request(app).post("/api/pair").send({ code }).expect(200);
+      await request(app).post("/api/pair").send({ code }).expect(404);
+    });
+
+    test("merges the account the joining device had", async () => {
+      const user = await register();
+      const other = await register();
+      await submit(user, [delta()]).expect(200);
+      await submit(other, [delta({ pastes: 5 })]).expect(200);
+
+      await request(app)
+        .post("/api/pair")
+        .set("Authorization", `Bearer ${other.token}`)
+        .send({ code: await pairingCode(user), previousUserId: other.userId })
+        .expect(200);
+
+      assert.strictEqual(await totalPastes(user.userId), 7);
+      await request(app).get(`/api/user/${other.userId}`).expect(404);
+    });
+
+    test("doesn't merge an account without its token", async () => {
+      const user = await register();
+      const other = await register();
+      await submit(other, [delta()]).expect(200);
+
+      await request(app)
+        .post("/api/pair")
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({ code: await pairingCode(user), previousUserId: other.userId })
+        .expect(200);
+
+      assert.strictEqual(await totalPastes(other.userId), 2);
+    });
+  });
+
+  suite("sharing and deletion", () => {
+    test("an anonymous profile only shows totals", async () => {
+      const user = await register();
+      await users().updateOne(
+        { userId: user.userId },
+        { $set: { username: "Obiwan", os: "linux" } }
+      );
+
+      await request(app)
+        .post(`/api/user/${user.userId}/sharing`)
+        .send({ sharing: "anonymous" })
+        .expect(401);
+      await request(app)
+        .post(`/api/user/${user.userId}/sharing`)
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({ sharing: "anonymous" })
+        .expect(200);
+
+      const res = await request(app)
+        .get(`/api/user/${user.userId}`)
+        .expect(200);
+      assert.strictEqual(res.body.anonymous, true);
+      assert.strictEqual(res.body.username, undefined);
+      assert.strictEqual(res.body.os, undefined);
+      assert.strictEqual(res.body.userId, undefined);
+    });
+
+    test("deleting removes the record and its tokens", async () => {
+      const user = await register();
+      await submit(user, [delta()]).expect(200);
+
+      await request(app).delete(`/api/user/${user.userId}`).expect(401);
+      await request(app)
+        .delete(`/api/user/${user.userId}`)
+        .set("Authorization", `Bearer ${user.token}`)
+        .expect(204);
+
+      await request(app).get(`/api/user/${user.userId}`).expect(404);
+      await submit(user, [delta()]).expect(401);
+      const keys = await mongoose.connection
+        .collection("applieddeltas")
+        .countDocuments({ userId: user.userId });
+      assert.strictEqual(keys, 0);
+    });
+  });
+
+  suite("findRanks", () => {
+    test("ranks users by total pastes, sharing places on ties", async () => {
+      await users().insertMany([
+        { userId: "a", totalPastes: 10 },
+        { userId: "b", totalPastes: 10 },
+        { userId: "c", totalPastes: 7 },
+        { userId: "d", totalPastes: 20, flagged: true },
+        { userId: "e", totalPastes: 30 },
+        { userId: "f", totalPastes: 40, banned: true },
+      ]);
+
+      const ranks = await findRanks(["a", "c", "d", "e", "unknown"]);
+      assert.deepStrictEqual(Object.fromEntries(ranks), {
+        a: { rank: 2, totalPastes: 10 },
+        c: { rank: 4, totalPastes: 7 },
+        e: { rank: 1, totalPastes: 30 },
+      });
+    });
+  });
+
+  suite("admin", () => {
+    const basicAuth = `Basic ${Buffer.from(`tester:${ADMIN_TOKEN}`).toString(
+      "base64"
+    )}`;
+
+    test("the admin API needs an admin token", async () => {
+      const user = await register();
+      await request(app)
+        .post(`/api/admin/users/${user.userId}/ban`)
+        .expect(401);
+      await request(app)
+        .post(`/api/admin/users/${user.userId}/ban`)
+        .set("Authorization", `Bearer ${user.token}`)
+        .expect(401);
+
+      await request(app)
+        .post(`/api/admin/users/${user.userId}/ban`)
+        .set("Authorization", `Bearer ${ADMIN_TOKEN}`)
+        .send({ reason: "testing" })
+        .expect(200);
+      await submit(user, [delta()]).expect(403);
+
+      const audit = await request(app)
+        .get("/api/admin/audit")
+        .set("Authorization", `Bearer ${ADMIN_TOKEN}`)
+        .expect(200);
+      assert.deepStrictEqual(
+        audit.body.map((action) => [action.admin, action.action]),
+        [["tester", "ban"]]
+      );
+    });
+
+    test("admin forms need the CSRF token of the page", async () => {
+      const user = await register();
+      const page = await request(app)
+        .get(`/admin/users/${user.userId}`)
+        .set("Authorization", basicAuth)
+        .expect(200);
+      const [, csrf] = /name="csrf" value="([0-9a-f]+)"/.exec(page.text);
+
+      await request(app)
+        .post(`/admin/users/${user.userId}/ban`)
+        .set("Authorization", basicAuth)
+        .type("form")
+        .send({ reason: "testing" })
+        .expect(403);
+      assert.strictEqual(
+        (await users().findOne({ userId: user.userId })).banned,
+        false
+      );
+
+      await request(app)
+        .post(`/admin/users/${user.userId}/ban`)
+        .set("Authorization", basicAuth)
+        .type("form")
+        .send({ csrf, reason: "testing" })
+        .expect(303);
+      assert.strictEqual(
+        (await users().findOne({ userId: user.userId })).banned,
+        true
+      );
+    });
+
+    test("approving a quarantined submission counts it and clears the flag", async () => {
+      const user = await register();
+      await submit(user, [delta({ pastes: 6000, lines: 6000 })]).expect(202);
+
+      const queue = await request(app)
+        .get("/api/admin/quarantine?status=pending")
+        .set("Authorization", `Bearer ${ADMIN_TOKEN}`)
+        .expect(200);
+      assert.strictEqual(queue.body.length, 1);
+
+      await request(app)
+        .post(`/api/admin/quarantine/${queue.body[0]._id}/approve`)
+        .set("Authorization", `Bearer ${ADMIN_TOKEN}`)
+        .expect(200);
+      const approved = await users().findOne({ userId: user.userId });
+      assert.strictEqual(approved.totalPastes, 6000);
+      assert.strictEqual(approved.flagged, false);
+    });
+
+    test("lifetime totals overtaken by later submissions can't be approved", async () => {
+      const user = await register();
+      const submitTotals = (totalPastes, totalLinesPasted) =>
+        request(app)
+          .post("/api/submit")
+          .set("Authorization", `Bearer ${user.token}`)
+          .send({ userId: user.userId, totalPastes, totalLinesPasted });
+      await submitTotals(100, 300000).expect(202);
+      await submitTotals(200, 1000).expect(200);
+
+      const queue = await request(app)
+        .get("/api/admin/quarantine?status=pending")
+        .set("Authorization", `Bearer ${ADMIN_TOKEN}`)
+        .expect(200);
+      await request(app)
+        .post(`/api/admin/quarantine/${queue.body[0]._id}/approve`)
+        .set("Authorization", `Bearer ${ADMIN_TOKEN}`)
+        .expect(409);
+      const kept = await users().findOne({ userId: user.userId });
+      assert.strictEqual(kept.totalPastes, 200);
+    });
+  });
+});
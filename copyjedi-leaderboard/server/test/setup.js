@@ -0,0 +1,2 @@
+// Loaded before the tests, ahead of server.js reading its configuration
+process.env.ADMIN_TOKENS = "tester:admin-test-token";
@@ -0,0 +1,89 @@
+const assert = require("assert");
+const { suite, test } = require("mocha");
+const { validate } = require("../server");
+
+// Run the validate() middleware on a fake request. Resolves with the 400
+// body, or null and the checked request if it was let through.
+function runValidate(schemas, req) {
+  const request = { params: {}, query: {}, body: {}, ...req };
+  let rejected = null;
+  const res = {
+    status(code) {
+      assert.strictEqual(code, 400);
+      return this;
+    },
+    json(body) {
+      rejected = body;
+    },
+  };
+  let passed = false;
+  validate(schemas)(request, res, () => {
+    passed = true;
+  });
+  assert.strictEqual(passed, rejected === null);
+  return { rejected, request };
+}
+
+suite("validate", () => {
+  const schemas = {
+    query: {
+      limit: { type: "integer", min: 1, max: 100, default: 100 },
+      sort: { type: "string", enum: ["a", "b"], default: "a" },
+      day: { type: "string", format: "date" },
+    },
+    body: {
+      name: { type: "string", required: true, trim: true, maxLength: 5 },
+      items: {
+        type: "array",
+        maxItems: 2,
+        items: { type: "integer", min: 0 },
+      },
+    },
+  };
+
+  test("converts query strings and fills in defaults", () => {
+    const { rejected, request } = runValidate(schemas, {
+      query: { limit: "20" },
+      body: { name: " jedi " },
+    });
+    assert.strictEqual(rejected, null);
+    assert.deepStrictEqual(request.query, { limit: 20, sort: "a" });
+    assert.deepStrictEqual(request.body, { name: "jedi" });
+  });
+
+  test("drops properties the schema doesn't list", () => {
+    const { request } = runValidate(schemas, {
+      body: { name: "yoda", isAdmin: true },
+    });
+    assert.deepStrictEqual(request.body, { name: "yoda" });
+  });
+
+  test("reports every problem by field", () => {
+    const { rejected } = runValidate(schemas, {
+      query: { limit: "0", sort: "c", day: "2024-13-45" },
+      body: { name: "  ", items: [1, -1] },
+    });
+    assert.strictEqual(rejected.error, "Invalid request");
+    assert.deepStrictEqual(Object.keys(rejected.fields).sort(), [
+      "body.items[1]",
+      "body.name",
+      "query.day",
+      "query.limit",
+      "query.sort",
+    ]);
+  });
+
+  test("doesn't take numbers from the body as strings", () => {
+    const { rejected } = runValidate(schemas, {
+      body: { name: "luke", items: ["1"] },
+    });
+    assert.strictEqual(rejected.fields["body.items[0]"], "must be an integer");
+  });
+
+  test("rejects arrays with too many items", () => {
+    const { rejected } = runValidate(schemas, {
+      body: { name: "luke", items: [1, 2, 3] },
+    });
+    assert.ok(rejected.fields["body.items"]);
+  });
+});
@@ -0,0 +1,107 @@
+// Per-language, per-project and per-file-type paste breakdowns
+
+const vscode = require("vscode");
+
+// Which paste property each breakdown is keyed on
+const BREAKDOWNS = [
+  { key: "byLanguage", property: "languageId", title: "By language" },
+  { key: "byWorkspace", property: "workspaceFolder", title: "By project" },
+  { key: "byExtension", property: "fileExtension", title: "By file type" },
+];
+
+// Make sure a stats object has all breakdown maps (older stats files don't)
+function ensureBreakdowns(stats) {
+  for (const { key } of BREAKDOWNS) {
+    if (!stats[key] || typeof stats[key] !== "object") {
+      stats[key] = {};
+    }
+  }
+  return stats;
+}
+
+// Count a paste in every breakdown. History entries migrated from the old
+// stats file stand for several pastes at once.
+function addPasteToBreakdowns(stats, paste) {
+  ensureBreakdowns(stats);
+
+  for (const { key, property } of BREAKDOWNS) {
+    const name = paste[property];
+    const entry = stats[key][name] || { pastes: 0, lines: 0 };
+    entry.pastes += paste.pastes || 1;
+    entry.lines += paste.lineCount;
+    stats[key][name] = entry;
+  }
+}
+
+// Breakdown entries sorted by number of pastes, largest first
+function sortedEntries(breakdown) {
+  return Object.entries(breakdown || {}).sort(
+    ([, a], [, b]) => b.pastes - a.pastes || b.lines - a.lines
+  );
+}
+
+function formatCounts(entry) {
+  return `${entry.pastes} paste${entry.pastes !== 1 ? "s" : ""}, ${
+    entry.lines
+  } line${entry.lines !== 1 ? "s" : ""}`;
+}
+
+// Short summary of the top languages and projects for the status bar tooltip
+function formatBreakdownTooltip(stats, limit = 5) {
+  const sections = BREAKDOWNS.filter(({ key }) => key !== "byExtension")
+    .map(({ key, title }) => {
+      const entries = sortedEntries(stats[key]).slice(0, limit);
+      if (entries.length === 0) return null;
+
+      return [
+        `${title}:`,
+        ...entries.map(([name, entry]) => `  ${name}: ${formatCounts(entry)}`),
+      ].join("\n");
+    })
+    .filter(Boolean);
+
+  return sections.join("\n\n");
+}
+
+// Show every breakdown in a quick pick
+async function showBreakdown(stats) {
+  const items = [];
+
+  for (const { key, title } of BREAKDOWNS) {
+    const entries = sortedEntries(stats[key]);
+    if (entries.length === 0) continue;
+
+    // Separators were added in VS Code 1.64
+    if (vscode.QuickPickItemKind) {
+      items.push({ label: title, kind: vscode.QuickPickItemKind.Separator });
+    }
+
+    for (const [name, entry] of entries) {
+      items.push({
+        label: name,
+        description: formatCounts(entry),
+        detail: vscode.QuickPickItemKind ? undefined : title,
+      });
+    }
+  }
+
+  if (items.length === 0) {
+    vscode.window.showInformationMessage(
+      "CopyJedi: No pastes recorded yet, nothing to break down"
+    );
+    return;
+  }
+
+  await vscode.window.showQuickPick(items, {
+    title: "CopyJedi: Paste Breakdown",
+    placeHolder: "Pastes and lines by language, project and file type",
+    matchOnDescription: true,
+  });
+}
+
+module.exports = {
+  ensureBreakdowns,
+  addPasteToBreakdowns,
+  formatBreakdownTooltip,
+  showBreakdown,
+};
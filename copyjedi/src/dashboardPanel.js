@@ -0,0 +1,341 @@
+// Stats dashboard webview with charts drawn from the local paste history
+//
+// The charts are plain inline SVG generated here, so the webview needs no
+// scripts and no assets from outside the extension.
+
+const vscode = require("vscode");
+const crypto = require("crypto");
+const PasteHistory = require("./pasteHistory");
+
+const DAYS_SHOWN = 30;
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const SIZE_BUCKETS = [
+  { label: "1", max: 1 },
+  { label: "2-5", max: 5 },
+  { label: "6-10", max: 10 },
+  { label: "11-25", max: 25 },
+  { label: "26-50", max: 50 },
+  { label: "51-100", max: 100 },
+  { label: "100+", max: Infinity },
+];
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Vertical bars, one per point
+function columnChart(points, cssClass, labelEvery = 1) {
+  const width = 600;
+  const height = 160;
+  const chartHeight = height - 20;
+  const max = Math.max(1, ...points.map((point) => point.value));
+  const slot = width / Math.max(1, points.length);
+  const barWidth = Math.max(1, slot * 0.7);
+
+  const bars = points
+    .map((point, index) => {
+      const barHeight = (point.value / max) * (chartHeight - 10);
+      const x = index * slot + (slot - barWidth) / 2;
+      const label =
+        index % labelEvery === 0
+          ? `<text class="axis" x="${x + barWidth / 2}" y="${
+              height - 4
+            }" text-anchor="middle">${escapeHtml(point.label)}</text>`
+          : "";
+
+      return `<rect class="${cssClass}" x="${x}" y="${
+        chartHeight - barHeight
+      }" width="${barWidth}" height="${barHeight}"><title>${escapeHtml(
+        point.label
+      )}: ${point.value}</title></rect>${label}`;
+    })
+    .join("");
+
+  return `<svg viewBox="0 0 ${width} ${height}" role="img">${bars}</svg>`;
+}
+
+// Horizontal bars with the share of the total at the end
+function shareChart(entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.value, 0) || 1;
+  const rowHeight = 22;
+  const width = 600;
+  const labelWidth = 140;
+  const barSpace = width - labelWidth - 60;
+
+  const rows = entries
+    .map((entry, index) => {
+      const y = index * rowHeight;
+      const share = entry.value / total;
+      return `<text class="label" x="0" y="${y + 15}">${escapeHtml(
+        entry.label
+      )}</text><rect class="bar-lines" x="${labelWidth}" y="${
+        y + 4
+      }" width="${Math.max(1, share * barSpace)}" height="${
+        rowHeight - 8
+      }"><title>${escapeHtml(entry.label)}: ${
+        entry.value
+      } pastes</title></rect><text class="axis" x="${
+        labelWidth + share * barSpace + 6
+      }" y="${y + 15}">${Math.round(share * 100)}%</text>`;
+    })
+    .join("");
+
+  return `<svg viewBox="0 0 ${width} ${Math.max(
+    rowHeight,
+    entries.length * rowHeight
+  )}" role="img">${rows}</svg>`;
+}
+
+// Weekday by hour-of-day grid, shaded by number of pastes
+function heatmap(grid) {
+  const cell = 22;
+  const left = 40;
+  const top = 16;
+  const max = Math.max(1, ...grid.flat());
+
+  const hours = Array.from({ length: 24 }, (_, hour) =>
+    hour % 3 === 0
+      ? `<text class="axis" x="${left + hour * cell + cell / 2}" y="${
+          top - 4
+        }" text-anchor="middle">${hour}</text>`
+      : ""
+  ).join("");
+
+  const cells = grid
+    .map((row, day) => {
+      const label = `<text class="axis" x="0" y="${top + day * cell + 15}">${
+        WEEKDAYS[day]
+      }</text>`;
+      return (
+        label +
+        row
+          .map(
+            (count, hour) =>
+              `<rect class="heat" x="${left + hour * cell}" y="${
+                top + day * cell
+              }" width="${cell - 2}" height="${cell - 2}" fill-opacity="${
+                count === 0 ? 0.05 : 0.2 + (count / max) * 0.8
+              }"><title>${WEEKDAYS[day]} ${hour}:00 - ${count} paste${
+                count !== 1 ? "s" : ""
+              }</title></rect>`
+          )
+          .join("")
+      );
+    })
+    .join("");
+
+  return `<svg viewBox="0 0 ${left + 24 * cell} ${
+    top + 7 * cell
+  }" role="img">${hours}${cells}</svg>`;
+}
+
+class DashboardPanel {
+  constructor(context, pasteHistory) {
+    this.context = context;
+    this.pasteHistory = pasteHistory;
+    this.panel = null;
+  }
+
+  // Open the dashboard, or bring it to the front if it is already open
+  show() {
+    if (this.panel) {
+      this.panel.reveal();
+      this.refresh();
+      return;
+    }
+
+    this.panel = vscode.window.createWebviewPanel(
+      "copyJediDashboard",
+      "CopyJedi Dashboard",
+      vscode.ViewColumn.One,
+      { enableScripts: false, localResourceRoots: [] }
+    );
+
+    this.panel.onDidDispose(
+      () => {
+        this.panel = null;
+      },
+      null,
+      this.context.subscriptions
+    );
+
+    this.refresh();
+  }
+
+  // Redraw the charts from the current history
+  refresh() {
+    if (!this.panel) return;
+    this.panel.webview.html = this.getDashboardHtml(
+      this.collectData(),
+      this.panel.webview.cspSource
+    );
+  }
+
+  // Everything the charts need, computed from the paste history
+  collectData() {
+    const since =
+      PasteHistory.startOfToday() - (DAYS_SHOWN - 1) * 24 * 60 * 60 * 1000;
+    const events = this.pasteHistory.getEvents(since);
+
+    const days = new Map();
+    for (let i = 0; i < DAYS_SHOWN; i++) {
+      const date = new Date(since);
+      date.setDate(date.getDate() + i);
+      days.set(PasteHistory.dayKey(date), { pastes: 0, lines: 0 });
+    }
+
+    const sizes = SIZE_BUCKETS.map(() => 0);
+    const hours = WEEKDAYS.map(() => new Array(24).fill(0));
+    const languages = new Map();
+    let totalPastes = 0;
+    let totalLines = 0;
+
+    for (const event of events) {
+      const pastes = event.pastes || 1;
+      const date = new Date(event.timestamp);
+      totalPastes += pastes;
+      totalLines += event.lineCount;
+
+      const day = days.get(PasteHistory.dayKey(date));
+      if (day) {
+        day.pastes += pastes;
+        day.lines += event.lineCount;
+      }
+
+      // Migrated entries only carry a total and the day it was counted on, so
+      // they can't go in the size chart or the heatmap
+      if (!event.pastes) {
+        const bucket = SIZE_BUCKETS.findIndex(
+          ({ max }) => event.lineCount <= max
+        );
+        sizes[bucket]++;
+        hours[(date.getDay() + 6) % 7][date.getHours()]++;
+      }
+      languages.set(
+        event.languageId,
+        (languages.get(event.languageId) || 0) + pastes
+      );
+    }
+
+    return {
+      totalPastes,
+      totalLines,
+      days: [...days.entries()].map(([label, counts]) => ({
+        label: label.slice(5),
+        ...counts,
+      })),
+      sizes: SIZE_BUCKETS.map(({ label }, index) => ({
+        label,
+        value: sizes[index],
+      })),
+      hours,
+      languages: [...languages.entries()]
+        .map(([label, value]) => ({ label, value }))
+        .sort((a, b) => b.value - a.value)
+        .slice(0, 10),
+    };
+  }
+
+  // Generate HTML for the dashboard webview
+  getDashboardHtml(data, cspSource) {
+    const nonce = crypto.randomBytes(16).toString("base64");
+
+    const content =
+      data.totalPastes === 0
+        ? `<p class="empty">No pastes recorded in the last ${DAYS_SHOWN} days.</p>`
+        : `
+                <h2>Pastes per day</h2>
+                ${columnChart(
+                  data.days.map((day) => ({
+                    label: day.label,
+                    value: day.pastes,
+                  })),
+                  "bar-pastes",
+                  5
+                )}
+
+                <h2>Lines per day</h2>
+                ${columnChart(
+                  data.days.map((day) => ({
+                    label: day.label,
+                    value: day.lines,
+                  })),
+                  "bar-lines",
+                  5
+                )}
+
+                <h2>Paste size (lines)</h2>
+                ${columnChart(data.sizes, "bar-pastes")}
+
+                <h2>Time of day</h2>
+                ${heatmap(data.hours)}
+
+                <h2>Languages</h2>
+                ${shareChart(data.languages)}
+            `;
+
+    return `
+            <!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src ${cspSource}; style-src 'nonce-${nonce}';">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>CopyJedi Dashboard</title>
+                <style nonce="${nonce}">
+                    body {
+                        font-family: var(--vscode-font-family, Arial, sans-serif);
+                        padding: 20px;
+                        max-width: 800px;
+                        color: var(--vscode-foreground);
+                        background-color: var(--vscode-editor-background);
+                    }
+                    h1 {
+                        color: var(--vscode-textLink-foreground);
+                    }
+                    h2 {
+                        margin-top: 28px;
+                        font-size: 1.1em;
+                    }
+                    svg {
+                        width: 100%;
+                        height: auto;
+                    }
+                    .summary {
+                        color: var(--vscode-descriptionForeground);
+                    }
+                    .bar-pastes {
+                        fill: var(--vscode-charts-blue, var(--vscode-textLink-foreground));
+                    }
+                    .bar-lines {
+                        fill: var(--vscode-charts-green, var(--vscode-textLink-foreground));
+                    }
+                    .heat {
+                        fill: var(--vscode-charts-orange, var(--vscode-textLink-foreground));
+                    }
+                    .axis, .label {
+                        fill: var(--vscode-descriptionForeground);
+                        font-size: 11px;
+                    }
+                    .label {
+                        fill: var(--vscode-foreground);
+                    }
+                </style>
+            </head>
+            <body>
+                <h1>CopyJedi Dashboard</h1>
+                <p class="summary">Last ${DAYS_SHOWN} days: ${
+      data.totalPastes
+    } pastes, ${data.totalLines} lines</p>
+                ${content}
+            </body>
+            </html>
+        `;
+  }
+}
+
+module.exports = DashboardPanel;
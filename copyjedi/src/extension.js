@@ -2,7 +2,35 @@
 const vscode = require("vscode");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const LeaderboardClient = require("./leaderboardClient");
+const SyncEngine = require("./syncEngine");
+const LiveUpdates = require("./liveUpdates");
+const PasteDetector = require("./pasteDetector");
+const PasteHistory = require("./pasteHistory");
+const DashboardPanel = require("./dashboardPanel");
+const LeaderboardPanel = require("./leaderboardPanel");
+const PasteTreeProvider = require("./pasteTreeProvider");
+const PastedRangeTracker = require("./pastedRangeTracker");
+const {
+  withFileLock,
+  writeFileAtomic,
+  readJsonFile,
+} = require("./fileStore");
+const {
+  ensureBreakdowns,
+  formatBreakdownTooltip,
+  showBreakdown,
+} = require("./breakdown");
+const {
+  getSharingLevel,
+  isSharingEnabled,
+  setSharingLevel,
+  onDidChangeSharingLevel,
+  migrateLeaderboardEnabled,
+  askForConsent,
+} = require("./privacy");
+const { promptForLeaderboardName } = require("./leaderboardName");
 
 // Create output channel early so we can log during initialization
 const outputChannel = vscode.window.createOutputChannel("CopyJedi");
@@ -13,88 +41,44 @@ function log(message) {
   outputChannel.appendLine(`[${new Date().toLocaleTimeString()}] ${message}`);
 }
 
-// Simple fetch implementation that works in both environments
-async function fixedFetch(url, options = {}) {
-  try {
-    log(`Making fetch request to: ${url}`);
-
-    // Remove timeout from options and handle it separately with AbortController
-    const timeout = options.timeout || 10000;
-    delete options.timeout;
-
-    // Create an AbortController for timeout handling
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    // Add the signal to options
-    options.signal = controller.signal;
-
-    // Try using the built-in fetch first (should work in VS Code)
-    try {
-      const response = await globalThis.fetch(url, options);
-      clearTimeout(timeoutId);
-      return response;
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-
-      // Check if it's a timeout error
-      if (fetchError.name === "AbortError") {
-        throw new Error(`Request timed out after ${timeout}ms`);
-      }
-
-      // If it's not a timeout error but fetch failed, try node-fetch as fallback
-      log(`Built-in fetch failed: ${fetchError.message}. Trying node-fetch...`);
-
-      // Try using require for node-fetch (common in extensions)
-      try {
-        // Make a new controller for the fallback request
-        const fallbackController = new AbortController();
-        const fallbackTimeoutId = setTimeout(
-          () => fallbackController.abort(),
-          timeout
-        );
-
-        // Use require instead of dynamic import in production
-        const nodeFetch = require("node-fetch");
-        options.signal = fallbackController.signal;
-
-        const response = await nodeFetch(url, options);
-        clearTimeout(fallbackTimeoutId);
-        return response;
-      } catch (nodeFetchError) {
-        log(`Node-fetch failed too: ${nodeFetchError.message}`);
-        throw nodeFetchError;
-      }
-    }
-  } catch (e) {
-    log(`Error in fetch implementation: ${e.message}`);
-    log(`Error stack: ${e.stack || "No stack available"}`);
-    throw new Error(`Fetch error: ${e.message}`);
-  }
-}
-
-// State to track paste statistics
+// Today's paste statistics, computed from the paste history
 let pasteStats = {
   totalPastes: 0,
   totalLinesPasted: 0,
+  totalCharsPasted: 0,
   date: new Date().toDateString(),
-  userId: null, // Will be used for leaderboard functionality
+  resetAt: 0, // Pastes before this time are left out of the totals
+  keptPastes: 0,
+  adaptedPastes: 0,
+  typedChars: 0,
+  typedLines: 0,
+  pasteRatio: 0, // Share of written characters that were pasted
+  assistedInsertions: 0, // Accepted suggestions, completions and snippets
+  assistedLines: 0,
+  assistedChars: 0,
+  byLanguage: {},
+  byWorkspace: {},
+  byExtension: {},
 };
 
+// Statistics shown in the status bar: today's, or everything when
+// autoResetDaily is off
+let displayedStats = pasteStats;
+
 let isTracking = true; // Start tracking by default
 let statusBarItem;
 let syncStatusBarItem;
-let pasteEventDisposable;
 let globalStoragePath;
-let lastEditTime = Date.now();
 let leaderboardClient; // LeaderboardClient instance
-
-// Add this near your other imports
-let lastPasteKeyCombination = false;
-let lastKeypressTime = Date.now();
-let offlineMode = false; // Track offline status
-let pendingSubmissions = []; // Queue for storing submissions when offline
-let lastConnectionAttempt = Date.now(); // Track last connection attempt time
+let pasteDetector; // PasteDetector instance
+let pasteHistory; // PasteHistory instance
+let dashboardPanel; // DashboardPanel instance
+let leaderboardPanel; // LeaderboardPanel instance
+let pasteTreeProvider; // PasteTreeProvider instance
+let pastedRangeTracker; // PastedRangeTracker instance
+let syncEngine; // SyncEngine instance
+let liveUpdates; // LiveUpdates instance
+let pendingTyping = { chars: 0, lines: 0 }; // Typing not yet written to history
 
 // File to store persistent data
 const getStoragePath = () => {
@@ -108,8 +92,14 @@ const getStoragePath = () => {
   );
 };
 
+// The leaderboard user ID, kept by the LeaderboardClient
+const getUserId = () => leaderboardClient.getUserId();
+
 // Load saved paste statistics
-const loadPasteStats = () => {
+const loadPasteStats = async () => {
+  // The user ID older versions kept in the stats file
+  let legacyUserId;
+
   try {
     const storagePath = getStoragePath();
     log(`Loading stats from: ${storagePath}`);
@@ -134,31 +124,22 @@ const loadPasteStats = () => {
           throw new Error("Stats file contained invalid JSON");
         }
 
-        // Reset stats if it's a new day
-        const today = new Date().toDateString();
-        if (savedStats.date !== today) {
-          pasteStats = {
-            totalPastes: 0,
-            totalLinesPasted: 0,
-            date: today,
-            userId: savedStats.userId || generateUserId(),
-          };
-          savePasteStats();
-        } else {
-          pasteStats = savedStats;
-        }
+        // Older versions only kept today's totals in the stats file
+        await pasteHistory.migrateDailyStats(savedStats);
+
+        legacyUserId = savedStats.userId;
+        pasteStats.resetAt = savedStats.resetAt || 0;
       } catch (fileError) {
         log(`Error reading stats file: ${fileError.message}`);
-        // If there's any error reading or parsing the file, reset stats
-        pasteStats.userId = generateUserId();
-        savePasteStats();
       }
     } else {
-      // Initialize with user ID for potential leaderboard integration
       log("Stats file does not exist, creating new one");
-      pasteStats.userId = generateUserId();
-      savePasteStats();
     }
+
+    await leaderboardClient.initUserId(legacyUserId);
+
+    refreshPasteStats();
+    await savePasteStats();
   } catch (error) {
     log(`Error in loadPasteStats: ${error.message}`);
     vscode.window.showErrorMessage(
@@ -166,27 +147,67 @@ const loadPasteStats = () => {
     );
 
     // Ensure we always have valid stats
-    pasteStats = {
+    pasteStats = ensureBreakdowns({
       totalPastes: 0,
       totalLinesPasted: 0,
+      totalCharsPasted: 0,
       date: new Date().toDateString(),
-      userId: generateUserId(),
-    };
+      resetAt: 0,
+      keptPastes: 0,
+      adaptedPastes: 0,
+      typedChars: 0,
+      typedLines: 0,
+      pasteRatio: 0,
+      assistedInsertions: 0,
+      assistedLines: 0,
+      assistedChars: 0,
+    });
+    displayedStats = pasteStats;
 
     // Try to save the fresh stats
     try {
-      savePasteStats();
+      await leaderboardClient.initUserId(legacyUserId);
+      await savePasteStats();
     } catch (saveError) {
       log(`Failed to save fresh stats: ${saveError.message}`);
     }
   }
 };
 
-// Save paste statistics
-const savePasteStats = () => {
+// Recompute today's and the displayed statistics from the paste history
+const refreshPasteStats = () => {
+  const { resetAt } = pasteStats;
+  const today = PasteHistory.startOfToday();
+
+  pasteStats = {
+    ...pasteHistory.summarize(Math.max(today, resetAt)),
+    date: new Date().toDateString(),
+    resetAt,
+  };
+
+  const config = vscode.workspace.getConfiguration("copyjedi");
+  displayedStats = config.get("autoResetDaily")
+    ? pasteStats
+    : pasteHistory.summarize(resetAt);
+};
+
+// Save paste statistics. Every window writes this file, so merge with what
+// is already there: the latest reset applies.
+const savePasteStats = async () => {
   try {
     const storagePath = getStoragePath();
-    fs.writeFileSync(storagePath, JSON.stringify(pasteStats), "utf8");
+    await withFileLock(storagePath, () => {
+      const savedStats = readJsonFile(storagePath);
+      if (savedStats) {
+        pasteStats.resetAt = Math.max(
+          savedStats.resetAt || 0,
+          pasteStats.resetAt
+        );
+        refreshPasteStats();
+      }
+
+      writeFileAtomic(storagePath, JSON.stringify(pasteStats));
+    });
 
     // Log where stats are being saved to help with debugging
     console.log(`CopyJedi stats saved to: ${storagePath}`);
@@ -198,509 +219,189 @@ const savePasteStats = () => {
   }
 };
 
-// Generate a unique user ID for leaderboard tracking
-const generateUserId = () => {
-  return "user_" + Math.random().toString(36).substr(2, 9);
-};
-function hasCodePatterns(text) {
-  // Simple check for common code patterns
-  return (
-    /function|const|let|var|import|export|if|for|while|class|=>|return/i.test(
-      text
-    ) || /[{}\[\]();=+\-*/%]/.test(text)
-  );
-}
-
-// Function to check if the code is generated by Copilot
-function isCopilotCode(text) {
-  // Look for common Copilot signatures
-  const copilotPatterns = [
-    "// Copilot suggestion",
-    "// Suggested by",
-    "// Generated by",
-    "// Via GitHub Copilot",
-    "<!-- GitHub Copilot",
-    "/* Copilot suggestion",
-    "// This code was suggested by",
-    "// Auto-generated",
+// Pick up pastes and resets from other windows as soon as they are written
+function watchSharedStats(context) {
+  const watchedFiles = [
+    path.basename(getStoragePath()),
+    path.basename(pasteHistory.filePath),
   ];
+  let reloadTimeout;
 
-  return copilotPatterns.some((pattern) => text.includes(pattern));
-}
-
-const isProbablyPaste = (change, clipboard) => {
-  // Skip Copilot generated code
-  if (isCopilotCode(change.text)) {
-    log("Skipping Copilot generated code");
-    return false;
-  }
-
-  // Don't count as paste if empty or tiny content
-  if (!change.text || change.text.length < 5) return false;
-
-  // Check if the active editor is valid
-  const editor = vscode.window.activeTextEditor;
-  if (!editor || !isEditableDocument(editor.document)) {
-    return false;
-  }
-
-  // Check for clipboard match (strong indicator of paste)
-  const clipboardMatch =
-    clipboard && change.text.includes(clipboard.substring(0, 20));
+  const watcher = fs.watch(globalStoragePath, (eventType, filename) => {
+    if (filename && !watchedFiles.includes(filename)) return;
 
-  // Check for large text insertions, which are likely pastes
-  const isLargeInsertion = change.text.length > 50;
-
-  // Check for multi-line content, which is often pasted
-  const isMultiLine = change.text.split("\n").length > 2;
-
-  // Check if the edit replaced a chunk of text (not character-by-character typing)
-  const isBulkChange =
-    change.range &&
-    Math.abs(change.range.end.character - change.range.start.character) > 10;
-
-  // True paste signature: clipboard match OR (large insertion AND either multi-line OR bulk change)
-  const result =
-    clipboardMatch || (isLargeInsertion && (isMultiLine || isBulkChange));
-
-  if (result) {
-    log("Paste detected with confidence");
-  }
-
-  return result;
-};
-
-// Helper to determine if a document is an actual editable file
-function isEditableDocument(document) {
-  try {
-    // Debug logging to see what documents are being processed
-    log(
-      `Checking document: ${document.uri.toString()} (${document.languageId})`
-    );
-
-    // Ignore output/debug/SCM/etc panels
-    if (document.uri.scheme !== "file" && document.uri.scheme !== "untitled") {
-      log(`Skipping non-file document: ${document.uri.scheme}`);
-      return false;
-    }
-
-    // Skip if the path includes terms related to extension output or debugging
-    const uriString = document.uri.toString().toLowerCase();
-    if (
-      uriString.includes("extension-output") ||
-      uriString.includes("debug-console") ||
-      uriString.includes("output-channel") ||
-      uriString.includes("extension-editor")
-    ) {
-      log(`Skipping extension-related document: ${uriString}`);
-      return false;
-    }
-
-    // Expanded list of non-editable document types
-    const nonEditableTypes = [
-      "log",
-      "output",
-      "scm",
-      "debug",
-      "terminal",
-      "plaintext",
-      "markdown",
-      "json",
-      "jsonc",
-      "git-commit",
-      "git-rebase",
-      "search-result",
-      "diff",
-      "shellscript",
-      "console",
-    ];
-
-    if (nonEditableTypes.includes(document.languageId)) {
-      log(`Skipping non-editable language: ${document.languageId}`);
-      return false;
-    }
-
-    // Additional check: only allow actual programming languages
-    const programmingLanguages = [
-      "javascript",
-      "typescript",
-      "java",
-      "python",
-      "csharp",
-      "c",
-      "cpp",
-      "go",
-      "rust",
-      "ruby",
-      "php",
-      "swift",
-      "kotlin",
-      "scala",
-      "dart",
-      "html",
-      "css",
-      "vue",
-      "jsx",
-      "tsx",
-    ];
-
-    if (!programmingLanguages.includes(document.languageId)) {
-      log(`Document language not in allowed list: ${document.languageId}`);
-    }
-
-    log(`Document accepted as editable: ${document.uri.toString()}`);
-    return true;
-  } catch (error) {
-    log(`Error in isEditableDocument: ${error.message}`);
-    return false;
-  }
-}
-
-// Add this function to your extension.js
-function setupKeyboardTracking(context) {
-  log("Setting up keyboard tracking");
-
-  // Listen for key presses with event listener instead of overriding the type command
-  const keyboardDisposable = vscode.workspace.onDidChangeTextDocument(
-    (event) => {
-      // Only check for potential paste operations
-      if (!event.contentChanges.length || !vscode.window.activeTextEditor)
-        return;
-
-      // Look for paste patterns without blocking normal typing
-      const change = event.contentChanges[0];
-      if (change.text === "v") {
-        const now = Date.now();
-        if (now - lastKeypressTime < 300) {
-          // This is likely Ctrl+V
-          lastPasteKeyCombination = true;
-          log("Potential paste operation detected");
-          // Reset after a short delay
-          setTimeout(() => {
-            lastPasteKeyCombination = false;
-          }, 500);
-        }
-      }
-
-      lastKeypressTime = Date.now();
-    }
-  );
-
-  context.subscriptions.push(keyboardDisposable);
-}
-
-// Add this near the top with your other imports
-const SYNC_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes in milliseconds
-
-// Add this function to periodically sync data
-function startAutoSync(context) {
-  log("Starting automatic sync to leaderboard");
-
-  // Initial sync after a short delay
-  const initialSyncTimeout = setTimeout(() => {
-    log("Running initial sync to leaderboard");
-    submitToLeaderboard().catch((err) => {
-      log(`Initial sync failed: ${err.message}`);
-    });
-  }, 30000); // Wait 30 seconds after startup
-
-  // Register periodic sync with a counter
-  let syncCounter = 0;
-  const syncInterval = setInterval(() => {
-    syncCounter++;
-    log(`Running scheduled sync #${syncCounter} to leaderboard`);
-
-    submitToLeaderboard().catch((err) => {
-      log(`Scheduled sync #${syncCounter} failed: ${err.message}`);
-    });
-  }, SYNC_INTERVAL_MS);
+    // Debounce bursts of writes
+    clearTimeout(reloadTimeout);
+    reloadTimeout = setTimeout(reloadSharedStats, 200);
+  });
 
-  // Make sure we clean up the interval when the extension is deactivated
   context.subscriptions.push({
     dispose: () => {
-      clearTimeout(initialSyncTimeout);
-      clearInterval(syncInterval);
-      log("Auto sync stopped due to extension deactivation");
+      clearTimeout(reloadTimeout);
+      watcher.close();
     },
   });
-
-  return syncInterval;
 }
 
-// Add this function to submit data to the leaderboard
-const submitToLeaderboard = async () => {
-  // Get server URL from settings or use default
-  const config = vscode.workspace.getConfiguration("copyjedi");
-  const serverUrl =
-    config.get("leaderboardApiUrl") ||
-    config.get("leaderboardServerUrl") ||
-    "https://api.copyjedi.com"; // Updated to a real endpoint
-
-  // Get OS and VS Code info
-  const os = process.platform;
-  const vsCodeVersion = vscode.version;
-
-  log(`Attempting to submit to leaderboard at: ${serverUrl}/api/submit`);
-
-  // If we're in offline mode and the retry interval hasn't elapsed, queue the submission
-  if (offlineMode) {
-    const now = Date.now();
-    // Check if enough time has passed to try reconnecting (30 minutes)
-    if (now - lastConnectionAttempt < 30 * 60 * 1000) {
-      log("In offline mode, queueing submission for later");
-      // Store for later submission
-      pendingSubmissions.push({ ...pasteStats, timestamp: now });
-      vscode.window.showInformationMessage(
-        "CopyJedi: Currently in offline mode. Your stats will be submitted when connection is restored."
-      );
-      updateSyncStatusBarItem();
-      return false;
-    } else {
-      // Enough time has passed, let's try reconnecting
-      log("Attempting to reconnect after offline period");
-    }
-  }
-
+// Re-read the shared files and update the status bar with the merged totals
+function reloadSharedStats() {
   try {
-    // Mark connection attempt time
-    lastConnectionAttempt = Date.now();
+    pasteHistory.readNewEvents();
 
-    // Check if server is available before attempting submission
-    try {
-      log("Performing server health check");
-      const healthCheck = await fixedFetch(`${serverUrl}/api/health`, {
-        method: "GET",
-        timeout: 5000, // 5 second timeout
-      });
-
-      if (!healthCheck.ok) {
-        log(`Leaderboard server health check failed: ${healthCheck.status}`);
-        offlineMode = true;
-        updateSyncStatusBarItem();
-        throw new Error(`Server returned status ${healthCheck.status}`);
-      }
-
-      // We're online! Reset offline mode
-      if (offlineMode) {
-        log("Server is back online!");
-        offlineMode = false;
-        updateSyncStatusBarItem();
-      }
-    } catch (healthError) {
-      log(`Leaderboard server is not available: ${healthError.message}`);
-      offlineMode = true;
-      updateSyncStatusBarItem();
-
-      // Store for later submission
-      pendingSubmissions.push({ ...pasteStats, timestamp: Date.now() });
-
-      // Show a more user-friendly message
-      vscode.window.showInformationMessage(
-        "CopyJedi: Leaderboard server is currently unreachable. Your stats will be saved and submitted later."
+    const savedStats = readJsonFile(getStoragePath());
+    if (savedStats) {
+      pasteStats.resetAt = Math.max(
+        savedStats.resetAt || 0,
+        pasteStats.resetAt
       );
-      return false;
     }
 
-    // If we have pending submissions, try to send the latest one first
-    if (pendingSubmissions.length > 0 && !offlineMode) {
-      log(
-        `Attempting to submit ${pendingSubmissions.length} pending submissions`
-      );
-
-      // For simplicity, just send the latest stats which include cumulative totals
-      // A more complex implementation could merge all pending submissions
-      vscode.window.showInformationMessage(
-        "CopyJedi: Submitting pending stats to leaderboard..."
-      );
-    }
+    refreshPasteStats();
+    refreshViews();
+  } catch (error) {
+    log(`Error reloading shared stats: ${error.message}`);
+  }
+}
 
-    // Log the request body for debugging
-    const requestBody = {
-      userId: pasteStats.userId,
-      totalPastes: pasteStats.totalPastes,
-      totalLinesPasted: pasteStats.totalLinesPasted,
-      date: pasteStats.date,
-      os: os,
-      vsCodeVersion: vsCodeVersion,
-      // Add a timestamp to help with debugging
-      timestamp: new Date().toISOString(),
+// Per-day totals from the paste history, for the sync engine to send to the
+// leaderboard. Assisted insertions only count as pastes there when the user
+// opted in with countAssistedOnLeaderboard.
+function getSubmissionTotals() {
+  const config = vscode.workspace.getConfiguration("copyjedi");
+  const countAssisted = config.get("countAssistedOnLeaderboard", false);
+
+  const days = {};
+  // Keyed by UTC day, so days land in the server's daily and weekly periods
+  for (const day of pasteHistory.aggregate("utcDay")) {
+    days[day.period] = {
+      pastes: day.pastes + (countAssisted ? day.assistedInsertions : 0),
+      lines: day.lines + (countAssisted ? day.assistedLines : 0),
+      keptPastes: day.keptPastes,
+      adaptedPastes: day.adaptedPastes,
+      pastedChars: day.pastedChars,
+      typedChars: day.typedChars,
+      typedLines: day.typedLines,
     };
-    log(`Request body: ${JSON.stringify(requestBody)}`);
-
-    // Use the fixed fetch implementation
-    const response = await fixedFetch(`${serverUrl}/api/submit`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(requestBody),
-      timeout: 10000, // 10 second timeout
-    });
+  }
 
-    log(`Response status: ${response.status}`);
+  return { userId: getUserId(), days };
+}
 
-    if (response.ok) {
-      const data = await response.json();
-      log(`Success response: ${JSON.stringify(data)}`);
+// Update statistics for a paste reported by the PasteDetector
+async function recordPaste(paste) {
+  if (!isTracking) {
+    return;
+  }
 
-      // Clear pending submissions since we've successfully submitted
-      if (pendingSubmissions.length > 0) {
-        pendingSubmissions = [];
-        vscode.window.showInformationMessage(
-          "CopyJedi: All pending stats submitted successfully!"
-        );
-      } else {
-        vscode.window.showInformationMessage(
-          "CopyJedi: Stats submitted successfully to leaderboard!"
-        );
-      }
+  try {
+    // Follow the pasted ranges as the document is edited. This happens
+    // before anything is awaited, while the document is as the paste left it.
+    const event = pasteHistory.createEvent(paste);
+    pastedRangeTracker.addPaste(paste, event);
 
-      // Ensure offline mode is set to false on successful submission
-      offlineMode = false;
-      updateSyncStatusBarItem();
-      return true;
-    } else {
-      const text = await response.text();
-      log(`Error response: ${text}`);
+    // Add to the history and recompute the totals from it
+    try {
+      await pasteHistory.append(event);
+    } catch (error) {
+      pastedRangeTracker.removePaste(event.id);
+      log(`Error writing paste history: ${error.message}`);
       vscode.window.showErrorMessage(
-        `CopyJedi: Failed to submit stats - ${text}`
+        `CopyJedi: Error saving paste history - ${error.message}`
       );
-      return false;
+      return;
     }
-  } catch (error) {
-    log(`Fetch error in submitToLeaderboard: ${error.message}`);
+    refreshPasteStats();
 
-    // Mark as offline if we get connection errors
-    offlineMode = true;
-    updateSyncStatusBarItem();
+    // Make sure to save stats after each update
+    await savePasteStats();
 
-    // Queue the submission for later
-    pendingSubmissions.push({ ...pasteStats, timestamp: Date.now() });
+    // Update the status bar and views immediately
+    refreshViews();
 
+    log(
+      `Paste recorded (${paste.reason}): ${paste.lineCount} line(s) in ${paste.ranges.length} range(s)`
+    );
+
+    // Show paste detection notification
     vscode.window.showInformationMessage(
-      `CopyJedi: Unable to reach leaderboard server. Your stats will be saved and submitted later.`
+      `CopyJedi: Pasted ${paste.lineCount} line${
+        paste.lineCount !== 1 ? "s" : ""
+      }! Total: ${displayedStats.totalPastes}`
     );
-    return false;
+  } catch (error) {
+    log(`Error recording paste: ${error.message}`);
   }
-};
-
-// Replace your existing onDidChangeTextDocument event handler with this:
-function setupPasteTracking(context) {
-  log("Setting up paste tracking");
-
-  const pasteEventDisposable = vscode.workspace.onDidChangeTextDocument(
-    async (event) => {
-      try {
-        if (!isTracking) {
-          return;
-        }
-
-        // Only proceed if we have an active text editor
-        const activeEditor = vscode.window.activeTextEditor;
-        if (!activeEditor) {
-          return;
-        }
-
-        // Only process events from the active editor
-        if (
-          event.document.uri.toString() !== activeEditor.document.uri.toString()
-        ) {
-          return;
-        }
-
-        // Only track changes in actual editor documents, not output/debug/etc.
-        const doc = event.document;
-        if (!isEditableDocument(doc)) {
-          return;
-        }
-
-        // Check if this document is an actual code file
-        if (!hasCodePatterns(doc.getText().substring(0, 1000))) {
-          log("Document doesn't contain code patterns, skipping");
-          return;
-        }
-
-        // Throttle updates (don't process if less than 300ms since last edit)
-        const now = Date.now();
-        if (now - lastEditTime < 300) {
-          return;
-        }
-        lastEditTime = now;
-
-        // Only log document changes when debugging is enabled
-        const config = vscode.workspace.getConfiguration("copyjedi");
-        const debugMode = config.get("debugMode") || false;
-
-        if (debugMode) {
-          log(`Document changed: ${doc.uri.toString()}`);
-          log(`Change count: ${event.contentChanges.length}`);
-        }
+}
 
-        if (event.contentChanges.length === 0) return;
+// Record an accepted suggestion, completion or snippet reported by the
+// PasteDetector. These are kept out of the paste counts.
+async function recordAssisted(insertion) {
+  if (!isTracking) {
+    return;
+  }
 
-        // Using vscode.window directly instead of assigning to variable
-        const clipboard = await vscode.env.clipboard.readText();
+  try {
+    await pasteHistory.recordAssisted(insertion);
 
-        for (const change of event.contentChanges) {
-          // Skip very small changes (likely not pastes)
-          if (change.text.length < 5 && !change.text.includes("\n")) {
-            continue;
-          }
+    refreshPasteStats();
+    await savePasteStats();
+    updateStatusBar();
 
-          // Only log changes in debug mode to avoid console spam
-          if (debugMode) {
-            const previewText = change.text
-              .substring(0, 20)
-              .replace(/\n/g, "\\n");
-            log(
-              `Change detected - length: ${change.text.length}, preview: "${previewText}..."`
-            );
-          }
+    log(
+      `Assisted insertion recorded (${insertion.reason}): ${insertion.lineCount} line(s)`
+    );
+  } catch (error) {
+    log(`Error recording assisted insertion: ${error.message}`);
+  }
+}
 
-          // Check if this is actually a paste event using our detection
-          const detectedPaste = isProbablyPaste(change, clipboard);
+// Count text typed by hand, reported by the PasteDetector
+function recordTyping(typing) {
+  if (!isTracking) {
+    return;
+  }
 
-          const isPaste =
-            detectedPaste ||
-            (lastPasteKeyCombination &&
-              (change.text.length > 10 || change.text.includes("\n")));
+  pendingTyping.chars += typing.chars;
+  pendingTyping.lines += typing.lines;
+}
 
-          if (isPaste) {
-            // Count pasted lines
-            const lineCount = change.text.split("\n").length;
+// Typing is written to the history in batches rather than per keystroke
+const TYPING_FLUSH_MS = 30 * 1000;
 
-            // Update statistics
-            pasteStats.totalPastes++;
-            pasteStats.totalLinesPasted += lineCount;
+async function flushTyping() {
+  if (pendingTyping.chars === 0) return;
 
-            // Make sure to save stats after each update
-            savePasteStats();
+  const typing = pendingTyping;
+  pendingTyping = { chars: 0, lines: 0 };
 
-            // Update the status bar immediately
-            updateStatusBar();
+  try {
+    await pasteHistory.recordTyped(typing);
 
-            // Show paste detection notification
-            vscode.window.showInformationMessage(
-              `CopyJedi: Pasted ${lineCount} line${
-                lineCount !== 1 ? "s" : ""
-              }! Total: ${pasteStats.totalPastes}`
-            );
+    refreshPasteStats();
+    await savePasteStats();
+    updateStatusBar();
+  } catch (error) {
+    log(`Error recording typing: ${error.message}`);
+  }
+}
 
-            // Reset keyboard detection
-            lastPasteKeyCombination = false;
+// Store a retention measurement from the PastedRangeTracker
+async function recordRetention(measurement) {
+  try {
+    await pasteHistory.recordRetention(measurement);
 
-            // Break out of the loop to avoid multiple counts for complex pastes
-            break;
-          }
-        }
-      } catch (error) {
-        log(`Error in paste tracking: ${error.message}`);
-        console.error("Error in paste tracking:", error);
-      }
-    }
-  );
+    log(
+      `Paste ${measurement.pasteId} retention at ${measurement.checkpoint}: ${Math.round(
+        measurement.retained * 100
+      )}%`
+    );
 
-  context.subscriptions.push(pasteEventDisposable);
+    refreshPasteStats();
+    await savePasteStats();
+    refreshViews();
+  } catch (error) {
+    log(`Error recording paste retention: ${error.message}`);
+  }
 }
 
 // Add status bar item
@@ -719,7 +420,7 @@ function setupStatusBar() {
       vscode.StatusBarAlignment.Right,
       99 // Position it right next to the paste tracking button
     );
-    syncStatusBarItem.command = "copyjedi.submitToLeaderboard";
+    syncStatusBarItem.command = "copyjedi.syncNow";
     syncStatusBarItem.text = "$(cloud-upload)";
     syncStatusBarItem.tooltip = "Sync paste stats to leaderboard";
     syncStatusBarItem.show();
@@ -740,30 +441,88 @@ function setupStatusBar() {
 function updateStatusBar() {
   if (statusBarItem) {
     statusBarItem.text = isTracking
-      ? `$(clippy) Pastes: ${pasteStats.totalPastes} | Lines: ${pasteStats.totalLinesPasted}`
+      ? `$(clippy) Pastes: ${displayedStats.totalPastes} | Lines: ${
+          displayedStats.totalLinesPasted
+        } | ${Math.round(displayedStats.pasteRatio * 100)}% pasted`
       : `$(clippy) Tracking Off`;
+
+    const sections = [
+      "Toggle CopyJedi paste tracking",
+      `Pasted ${displayedStats.totalCharsPasted} characters, typed ${displayedStats.typedChars} characters (${displayedStats.typedLines} lines)`,
+    ];
+
+    const { keptPastes, adaptedPastes } = displayedStats;
+    if (keptPastes + adaptedPastes > 0) {
+      sections.push(
+        `Kept ${keptPastes}, adapted ${adaptedPastes} (${Math.round(
+          (keptPastes / (keptPastes + adaptedPastes)) * 100
+        )}% kept)`
+      );
+    }
+
+    const { assistedInsertions, assistedLines } = displayedStats;
+    if (assistedInsertions > 0) {
+      sections.push(
+        `Assisted insertions: ${assistedInsertions} (${assistedLines} line${
+          assistedLines !== 1 ? "s" : ""
+        }), not counted as pastes`
+      );
+    }
+
+    const breakdown = formatBreakdownTooltip(displayedStats);
+    if (breakdown) {
+      sections.push(breakdown);
+    }
+
+    statusBarItem.tooltip = sections.join("\n\n");
   }
 }
 
+// Update everything that shows paste history
+function refreshViews() {
+  updateStatusBar();
+  dashboardPanel.refresh();
+  pasteTreeProvider.refresh();
+}
+
 // Update sync status bar item
 function updateSyncStatusBarItem() {
   if (syncStatusBarItem) {
-    // Check if leaderboard client exists and use its status if available
-    const isOffline = leaderboardClient
-      ? leaderboardClient.offlineMode
-      : offlineMode;
+    const pending = syncEngine ? syncEngine.getQueue().length : 0;
 
-    if (isOffline) {
+    if (!isSharingEnabled()) {
+      syncStatusBarItem.text = "$(cloud) Not sharing";
+      syncStatusBarItem.backgroundColor = undefined;
+      syncStatusBarItem.tooltip =
+        "Leaderboard sharing is off. Click to choose what to share.";
+    } else if (leaderboardClient && leaderboardClient.offlineMode) {
       syncStatusBarItem.text = "$(cloud-offline) Offline";
       syncStatusBarItem.backgroundColor = new vscode.ThemeColor(
         "statusBarItem.warningBackground"
       );
-      syncStatusBarItem.tooltip = `Offline mode: ${pendingSubmissions.length} submission(s) pending. Will retry connection automatically.`;
+      syncStatusBarItem.tooltip = `Offline mode: ${pending} submission(s) pending. Will retry connection automatically.`;
     } else {
-      syncStatusBarItem.text = "$(cloud-upload) Online";
+      const rank = liveUpdates && liveUpdates.rank;
+      syncStatusBarItem.text = `${
+        pending > 0
+          ? `$(cloud-upload) ${pending} pending`
+          : "$(cloud-upload) Online"
+      }${rank ? ` #${rank}` : ""}`;
       syncStatusBarItem.backgroundColor = undefined;
-      syncStatusBarItem.tooltip =
-        "Leaderboard connection active. Click to sync stats manually.";
+
+      const tooltip = [
+        "Leaderboard connection active. Click to sync stats manually.",
+      ];
+      if (rank) {
+        tooltip.push(`Your leaderboard rank: #${rank}`);
+      }
+      const totals = liveUpdates && liveUpdates.totals;
+      if (totals) {
+        tooltip.push(
+          `Everyone: ${totals.globalPastes} pastes, ${totals.globalLines} lines by ${totals.totalUsers} Jedi`
+        );
+      }
+      syncStatusBarItem.tooltip = tooltip.join("\n");
     }
 
     // Force the status bar item to update visually
@@ -771,6 +530,106 @@ function updateSyncStatusBarItem() {
   }
 }
 
+// Hide or show the profile on the server as soon as the sharing level
+// changes, rather than with the next submission
+async function pushSharingLevel() {
+  const level = getSharingLevel();
+  const userId = getUserId();
+  if (level === "off" || !(await leaderboardClient.readToken(userId))) return;
+
+  try {
+    await leaderboardClient.updateSharing(userId, level);
+    log(`Leaderboard profile set to ${level}`);
+  } catch (error) {
+    log(`Error updating leaderboard sharing level: ${error.message}`);
+  }
+}
+
+// Let the user know when someone passes them on the leaderboard
+function notifyRankChange({ rank, previousRank, ahead }) {
+  updateSyncStatusBarItem();
+  if (!previousRank || rank <= previousRank) return;
+
+  vscode.window.showInformationMessage(
+    `CopyJedi: ${
+      ahead || "Another Jedi"
+    } overtook you on the leaderboard. You're now #${rank}.`
+  );
+}
+
+// Show a pairing code from the server for the other device to enter
+async function showPairingCode() {
+  const { code, expiresAt } = await leaderboardClient.createPairingCode(
+    getUserId()
+  );
+  const shownCode = `${code.slice(0, 4)}-${code.slice(4)}`;
+  const minutes = Math.round((new Date(expiresAt).getTime() - Date.now()) / 60000);
+
+  const action = await vscode.window.showInformationMessage(
+    `CopyJedi: Enter the code ${shownCode} on your other device with "CopyJedi: Link Another Device". It expires in ${minutes} minutes.`,
+    { modal: true },
+    "Copy Code"
+  );
+  if (action === "Copy Code") {
+    await vscode.env.clipboard.writeText(shownCode);
+  }
+}
+
+// Join the account of another device with the code it shows
+async function enterPairingCode() {
+  const code = await vscode.window.showInputBox({
+    prompt: "Enter the pairing code shown on your other device",
+    placeHolder: "ABCD-EFGH",
+    ignoreFocusOut: true,
+  });
+  if (!code) return;
+
+  // Device names are only shown on a full profile
+  let deviceName = "";
+  if (getSharingLevel() === "full") {
+    deviceName = await vscode.window.showInputBox({
+      prompt: "Name this device on your leaderboard profile (optional)",
+      placeHolder: "e.g. Work laptop",
+      ignoreFocusOut: true,
+      validateInput: (value) =>
+        value.trim().length > 60
+          ? "Device names can be at most 60 characters long"
+          : null,
+    });
+    if (deviceName === undefined) return;
+  }
+
+  const userId = await leaderboardClient.pair(
+    code,
+    deviceName.trim(),
+    getUserId()
+  );
+  await leaderboardClient.setUserId(userId);
+  liveUpdates.restart();
+
+  updateSyncStatusBarItem();
+  vscode.window.showInformationMessage(
+    "CopyJedi: This device is now linked to your leaderboard account"
+  );
+}
+
+// Make sure the user shares something before talking to the leaderboard,
+// asking them if they don't yet
+async function ensureSharing(context) {
+  if (isSharingEnabled()) return true;
+  return (await askForConsent(context, { force: true })) !== "off";
+}
+
+// Drop the token, the sync queue and the user ID, so the leaderboard sees a
+// new user if sharing is turned back on
+async function startNewIdentity() {
+  await leaderboardClient.forgetToken();
+  await syncEngine.reset();
+  await leaderboardClient.setUserId(crypto.randomUUID());
+  await setSharingLevel("off");
+  updateSyncStatusBarItem();
+}
+
 // Register extension commands
 function registerCommands(context) {
   try {
@@ -790,74 +649,230 @@ function registerCommands(context) {
     // Reset paste statistics
     const resetStatsCommand = vscode.commands.registerCommand(
       "copyjedi.resetStats",
-      () => {
-        // Preserve userId but reset all stats
-        const userId = pasteStats.userId;
-        pasteStats = {
-          totalPastes: 0,
-          totalLinesPasted: 0,
-          date: new Date().toDateString(),
-          userId: userId,
-        };
-        savePasteStats();
+      async () => {
+        // Start counting from now, the paste history itself is kept
+        pasteStats.resetAt = Date.now();
+        refreshPasteStats();
+        await savePasteStats();
         updateStatusBar();
         vscode.window.showInformationMessage("CopyJedi: Statistics reset");
         log("Statistics reset");
       }
     );
 
-    // Submit to leaderboard (manual)
+    // Show pastes by language and project
+    const showBreakdownCommand = vscode.commands.registerCommand(
+      "copyjedi.showBreakdown",
+      () => showBreakdown(displayedStats)
+    );
+
+    // Show daily, weekly and monthly roll-ups of the paste history
+    const showHistoryCommand = vscode.commands.registerCommand(
+      "copyjedi.showHistory",
+      () => pasteHistory.showHistory()
+    );
+
+    // Open the stats dashboard
+    const openDashboardCommand = vscode.commands.registerCommand(
+      "copyjedi.openDashboard",
+      () => dashboardPanel.show()
+    );
+
+    // Jump to a paste listed in the tree view
+    const revealPasteCommand = vscode.commands.registerCommand(
+      "copyjedi.revealPaste",
+      (element) => pasteTreeProvider.revealPaste(element)
+    );
+
+    // Remove a false positive from the history and the counters
+    const markNotPasteCommand = vscode.commands.registerCommand(
+      "copyjedi.markNotPaste",
+      async (element) => {
+        if (!element || !element.event) return;
+
+        try {
+          await pasteHistory.retract(element.event.id);
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `CopyJedi: Error updating paste history - ${error.message}`
+          );
+          return;
+        }
+
+        pastedRangeTracker.removePaste(element.event.id);
+        refreshPasteStats();
+        await savePasteStats();
+        refreshViews();
+        log(`Paste ${element.event.id} marked as not a paste`);
+      }
+    );
+
+    // Submit to leaderboard (manual), asking what to share if nothing is
     const submitToLeaderboardCommand = vscode.commands.registerCommand(
       "copyjedi.submitToLeaderboard",
-      () => {
+      async () => {
+        if (!(await ensureSharing(context))) return;
+
         vscode.window.showInformationMessage(
           "CopyJedi: Submitting to leaderboard..."
         );
+        await syncEngine.sync({ interactive: true });
+      }
+    );
+
+    // Sync now, without waiting for the next scheduled sync
+    const syncNowCommand = vscode.commands.registerCommand(
+      "copyjedi.syncNow",
+      async () => {
+        if (!(await ensureSharing(context))) return;
+
+        await syncEngine.sync({ interactive: true });
+      }
+    );
+
+    // Browse the global leaderboard
+    const showLeaderboardCommand = vscode.commands.registerCommand(
+      "copyjedi.showLeaderboard",
+      () => leaderboardPanel.show()
+    );
+
+    // Choose the name shown on the leaderboard
+    const setLeaderboardNameCommand = vscode.commands.registerCommand(
+      "copyjedi.setLeaderboardName",
+      async () => {
+        if (!(await ensureSharing(context))) return;
+
+        if (getSharingLevel() !== "full") {
+          const choice = await vscode.window.showInformationMessage(
+            "CopyJedi: Your name is only shown on the leaderboard with a full profile. Share your full profile?",
+            { modal: true },
+            "Share Full Profile"
+          );
+          if (choice !== "Share Full Profile") return;
+          await setSharingLevel("full");
+        }
+
+        const name = await promptForLeaderboardName(
+          leaderboardClient,
+          getUserId(),
+          log
+        );
+        if (!name) return;
+
+        leaderboardPanel.refresh();
+        vscode.window.showInformationMessage(
+          `CopyJedi: You're on the leaderboard as ${name}`
+        );
+        log(`Leaderboard name set to ${name}`);
+      }
+    );
+
+    // Have the server issue a new leaderboard token
+    const rotateTokenCommand = vscode.commands.registerCommand(
+      "copyjedi.rotateToken",
+      async () => {
+        try {
+          await leaderboardClient.rotateToken(getUserId());
+          vscode.window.showInformationMessage(
+            "CopyJedi: Leaderboard token rotated"
+          );
+          log("Leaderboard token rotated");
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `CopyJedi: Error rotating leaderboard token - ${error.message}`
+          );
+        }
+      }
+    );
+
+    // Link this machine and another one to the same leaderboard account
+    const linkDeviceCommand = vscode.commands.registerCommand(
+      "copyjedi.linkDevice",
+      async () => {
+        if (!(await ensureSharing(context))) return;
+
+        const choice = await vscode.window.showQuickPick(
+          [
+            {
+              label: "Show a pairing code",
+              description: "Let another device join this account",
+              action: "show",
+            },
+            {
+              label: "Enter a pairing code",
+              description: "Join the account of another device",
+              action: "enter",
+            },
+          ],
+          { placeHolder: "Link another device to your leaderboard account" }
+        );
+        if (!choice) return;
 
-        // Make sure leaderboard is enabled in settings
-        const config = vscode.workspace.getConfiguration("copyjedi");
-        config.update("leaderboardEnabled", true, true).then(() => {
-          log("Leaderboard enabled in settings");
-
-          // Try using the LeaderboardClient first
-          if (leaderboardClient) {
-            // Re-initialize the client to pick up new settings
-            leaderboardClient.initialize();
-
-            leaderboardClient
-              .submitStats(pasteStats)
-              .then((success) => {
-                if (success) {
-                  log("Leaderboard submission via client successful");
-                } else {
-                  // If the client submission fails, fall back to direct method
-                  log(
-                    "Leaderboard client submission failed, trying direct method"
-                  );
-                  return submitToLeaderboard();
-                }
-              })
-              .catch((error) => {
-                log(`LeaderboardClient submission error: ${error.message}`);
-                // Fall back to direct submission method
-                log("Falling back to direct submission method");
-                return submitToLeaderboard();
-              });
+        try {
+          if (choice.action === "show") {
+            await showPairingCode();
           } else {
-            // If client isn't available, use direct method
-            submitToLeaderboard()
-              .then((success) => {
-                log(
-                  `Manual leaderboard submission completed: ${
-                    success ? "success" : "failed"
-                  }`
-                );
-              })
-              .catch((error) => {
-                log(`Manual leaderboard submission failed: ${error.message}`);
-              });
+            await enterPairingCode();
           }
-        });
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `CopyJedi: Error linking device - ${error.message}`
+          );
+        }
+      }
+    );
+
+    // Drop the token and user ID, so the leaderboard starts over as a new user
+    const forgetIdentityCommand = vscode.commands.registerCommand(
+      "copyjedi.forgetIdentity",
+      async () => {
+        const choice = await vscode.window.showWarningMessage(
+          "CopyJedi: Forget your leaderboard identity? This machine will stop submitting, and if you turn the leaderboard back on it will show up as a new user. Your local paste history is kept.",
+          { modal: true },
+          "Forget Identity"
+        );
+        if (choice !== "Forget Identity") return;
+
+        try {
+          await startNewIdentity();
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `CopyJedi: Error forgetting identity - ${error.message}`
+          );
+          return;
+        }
+
+        vscode.window.showInformationMessage(
+          "CopyJedi: Signed out of the leaderboard"
+        );
+        log("Leaderboard identity forgotten");
+      }
+    );
+
+    // Delete everything the server has on this user, then sign out
+    const deleteMyDataCommand = vscode.commands.registerCommand(
+      "copyjedi.deleteMyData",
+      async () => {
+        const choice = await vscode.window.showWarningMessage(
+          "CopyJedi: Delete your leaderboard data? Your stats and daily history are removed from the server for every linked device, and sharing is turned off. Your local paste history is kept.",
+          { modal: true },
+          "Delete My Data"
+        );
+        if (choice !== "Delete My Data") return;
+
+        try {
+          const deleted = await leaderboardClient.deleteUserData(getUserId());
+          await startNewIdentity();
+          vscode.window.showInformationMessage(
+            deleted
+              ? "CopyJedi: Your leaderboard data was deleted"
+              : "CopyJedi: The leaderboard has no data from this device"
+          );
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `CopyJedi: Error deleting leaderboard data - ${error.message}`
+          );
+        }
       }
     );
 
@@ -905,69 +920,39 @@ function registerCommands(context) {
 
           log(`Server URL: ${serverUrl}`);
 
-          // Try multiple test methods
+          // Both checks go through the same HTTP layer as submissions, so
+          // proxy and certificate problems show up here too
 
-          // METHOD 1: Direct URL check without fetch
+          // METHOD 1: Basic connectivity, any response will do
           try {
             log("METHOD 1: Testing basic URL connectivity...");
-            const http = require("http");
-            const https = require("https");
-
-            // Choose correct module based on URL
-            const protocol = serverUrl.startsWith("https") ? https : http;
-
-            // Create a simple request
-            const urlObj = new URL(serverUrl);
+            const response = await leaderboardClient.fetch(serverUrl, {
+              timeout: 5000,
+            });
             log(
-              `Connecting to ${urlObj.hostname}:${
-                urlObj.port || (urlObj.protocol === "https:" ? 443 : 80)
-              }`
+              `METHOD 1 RESULT: Connection successful, status: ${response.status}`
             );
-
-            const reqPromise = new Promise((resolve, reject) => {
-              const req = protocol.get(urlObj, (res) => {
-                log(
-                  `METHOD 1 RESULT: Connection successful, status: ${res.statusCode}`
-                );
-                resolve(true);
-              });
-
-              req.on("error", (err) => {
-                log(`METHOD 1 ERROR: ${err.message}`);
-                reject(err);
-              });
-
-              req.setTimeout(5000, () => {
-                req.destroy(new Error("Timeout after 5000ms"));
-                log(`METHOD 1 ERROR: Connection timeout`);
-                reject(new Error("Connection timeout"));
-              });
-            });
-
-            await reqPromise;
           } catch (method1Error) {
             log(`METHOD 1 FAILED: ${method1Error.message}`);
           }
 
-          // METHOD 2: Native fetch API check
+          // METHOD 2: The health endpoint
           try {
-            log("METHOD 2: Testing with built-in fetch...");
+            log("METHOD 2: Testing the health endpoint...");
             log(`Sending request to: ${serverUrl}/api/health`);
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-            const response = await globalThis.fetch(`${serverUrl}/api/health`, {
-              method: "GET",
-              signal: controller.signal,
-              headers: {
-                "User-Agent": `VSCode-CopyJedi/${vscode.version}`,
-                Accept: "application/json",
-                "X-Debug-Mode": "true",
-              },
-            });
-
-            clearTimeout(timeoutId);
+            const response = await leaderboardClient.fetch(
+              `${serverUrl}/api/health`,
+              {
+                method: "GET",
+                timeout: 5000,
+                headers: {
+                  "User-Agent": "VSCode-CopyJedi",
+                  Accept: "application/json",
+                  "X-Debug-Mode": "true",
+                },
+              }
+            );
 
             log(`METHOD 2 RESULT: Status: ${response.status}`);
             const responseText = await response.text();
@@ -978,52 +963,18 @@ function registerCommands(context) {
                 `CopyJedi server is responding! Status: ${response.status}`
               );
 
-              // Set offlineMode to false when successful
-              offlineMode = false;
+              leaderboardClient.setOnline(true);
               updateSyncStatusBarItem();
             } else {
               throw new Error(`Server returned error: ${response.status}`);
             }
           } catch (method2Error) {
             log(`METHOD 2 FAILED: ${method2Error.message}`);
-
-            // METHOD 3: Try with node-fetch as fallback
-            try {
-              log("METHOD 3: Testing with node-fetch...");
-              const nodeFetch = require("node-fetch");
-
-              const response = await nodeFetch(`${serverUrl}/api/health`, {
-                method: "GET",
-                timeout: 5000,
-                headers: {
-                  "User-Agent": `VSCode-CopyJedi/${vscode.version}`,
-                  Accept: "application/json",
-                  "X-Debug-Mode": "true",
-                },
-              });
-
-              log(`METHOD 3 RESULT: Status: ${response.status}`);
-              const responseText = await response.text();
-              log(`Response body: ${responseText}`);
-
-              if (response.ok) {
-                vscode.window.showInformationMessage(
-                  `CopyJedi server is responding (method 3)! Status: ${response.status}`
-                );
-
-                offlineMode = false;
-                updateSyncStatusBarItem();
-              } else {
-                throw new Error(`Server returned error: ${response.status}`);
-              }
-            } catch (method3Error) {
-              log(`METHOD 3 FAILED: ${method3Error.message}`);
-              vscode.window.showErrorMessage(
-                `Server check failed with all methods. See output log for details.`
-              );
-              offlineMode = true;
-              updateSyncStatusBarItem();
-            }
+            vscode.window.showErrorMessage(
+              `Server check failed. See output log for details.`
+            );
+            leaderboardClient.setOnline(false);
+            updateSyncStatusBarItem();
           }
 
           log("============ SERVER CHECK COMPLETED ============");
@@ -1033,7 +984,7 @@ function registerCommands(context) {
           vscode.window.showErrorMessage(
             `Server check failed: ${error.message}`
           );
-          offlineMode = true;
+          leaderboardClient.setOnline(false);
           updateSyncStatusBarItem();
         }
       }
@@ -1043,7 +994,19 @@ function registerCommands(context) {
     context.subscriptions.push(
       toggleTrackingCommand,
       resetStatsCommand,
+      showBreakdownCommand,
+      showHistoryCommand,
+      openDashboardCommand,
+      revealPasteCommand,
+      markNotPasteCommand,
       submitToLeaderboardCommand,
+      syncNowCommand,
+      showLeaderboardCommand,
+      setLeaderboardNameCommand,
+      rotateTokenCommand,
+      linkDeviceCommand,
+      forgetIdentityCommand,
+      deleteMyDataCommand,
       configureServerCommand,
       testCommand,
       checkServerCommand
@@ -1055,32 +1018,58 @@ function registerCommands(context) {
   }
 }
 
-function activate(context) {
+async function activate(context) {
   try {
     log("CopyJedi activation started");
 
     // Store the global storage path
-    globalStoragePath = context.globalStoragePath;
+    globalStoragePath = context.globalStorageUri.fsPath;
 
     // Create the stats directory if it doesn't exist
     if (!fs.existsSync(globalStoragePath)) {
       fs.mkdirSync(globalStoragePath, { recursive: true });
     }
 
-    // Reset offline mode when extension activates
-    offlineMode = false;
-    log("Forced offline mode to false on startup");
+    // Sharing levels replaced the leaderboardEnabled switch
+    await migrateLeaderboardEnabled();
 
     // Initialize LeaderboardClient
-    leaderboardClient = new LeaderboardClient(context);
+    leaderboardClient = new LeaderboardClient(context, log);
     leaderboardClient.initialize();
     log("LeaderboardClient initialized");
+    leaderboardPanel = new LeaderboardPanel(context, leaderboardClient, log);
 
     // Force status update to show online
     updateSyncStatusBarItem();
 
-    // Load saved stats
-    loadPasteStats();
+    // Load the paste history, then the saved stats that depend on it
+    pasteHistory = new PasteHistory(globalStoragePath, log);
+    pasteHistory.load();
+    await loadPasteStats();
+    dashboardPanel = new DashboardPanel(context, pasteHistory);
+
+    // Tree view of today's pastes in the Activity Bar
+    pasteTreeProvider = new PasteTreeProvider(pasteHistory);
+    context.subscriptions.push(
+      pasteTreeProvider,
+      vscode.window.registerTreeDataProvider(
+        "copyjedi.recentPastes",
+        pasteTreeProvider
+      )
+    );
+
+    // Keep totals in sync with the other open windows
+    watchSharedStats(context);
+
+    // Switch between today's and all-time totals when the setting changes
+    context.subscriptions.push(
+      vscode.workspace.onDidChangeConfiguration((e) => {
+        if (e.affectsConfiguration("copyjedi.autoResetDaily")) {
+          refreshPasteStats();
+          updateStatusBar();
+        }
+      })
+    );
 
     // Setup the status bar
     setupStatusBar();
@@ -1089,19 +1078,70 @@ function activate(context) {
     registerCommands(context);
 
     // Set up paste tracking
-    setupPasteTracking(context);
+    pastedRangeTracker = new PastedRangeTracker(context, log);
+    pastedRangeTracker.initialize();
+    context.subscriptions.push(
+      pastedRangeTracker,
+      pastedRangeTracker.onDidMeasureRetention(recordRetention)
+    );
 
-    // Set up keyboard tracking
-    setupKeyboardTracking(context);
+    pasteDetector = new PasteDetector(context, log);
+    pasteDetector.initialize();
+    context.subscriptions.push(
+      pasteDetector.onDidPaste(recordPaste),
+      pasteDetector.onDidType(recordTyping),
+      pasteDetector.onDidAssist(recordAssisted)
+    );
+
+    const typingFlushInterval = setInterval(flushTyping, TYPING_FLUSH_MS);
+    context.subscriptions.push({
+      dispose: () => clearInterval(typingFlushInterval),
+    });
+
+    // Send stats to the leaderboard on schedule, retrying what failed
+    syncEngine = new SyncEngine(
+      context,
+      globalStoragePath,
+      leaderboardClient,
+      getSubmissionTotals,
+      log
+    );
+    context.subscriptions.push(
+      syncEngine,
+      syncEngine.onDidChangeState(updateSyncStatusBarItem)
+    );
+    syncEngine.initialize();
+    context.subscriptions.push(
+      onDidChangeSharingLevel(() => {
+        updateSyncStatusBarItem();
+        pushSharingLevel();
+      })
+    );
 
-    // Start auto sync process
-    startAutoSync(context);
+    // Standings pushed by the server, for the status bar and the leaderboard
+    liveUpdates = new LiveUpdates(context, leaderboardClient, log);
+    context.subscriptions.push(
+      liveUpdates,
+      liveUpdates.onDidUpdateTotals(updateSyncStatusBarItem),
+      liveUpdates.onDidChangeRank(notifyRankChange),
+      liveUpdates.onDidUpdateLeaderboard((update) =>
+        leaderboardPanel.showLiveUpdate(update)
+      )
+    );
+    liveUpdates.initialize();
+
+    // Check the server after a short delay, unless nothing is shared with it
+    if (isSharingEnabled()) {
+      setTimeout(() => {
+        log("Performing initial server status check");
+        vscode.commands.executeCommand("copyjedi.checkServer");
+      }, 3000);
+    }
 
-    // Force a server check after a short delay
-    setTimeout(() => {
-      log("Performing initial server status check");
-      vscode.commands.executeCommand("copyjedi.checkServer");
-    }, 3000);
+    // Ask what to share with the leaderboard the first time
+    askForConsent(context).catch((error) =>
+      log(`Error asking for sharing consent: ${error.message}`)
+    );
 
     log("CopyJedi activated successfully");
   } catch (error) {
@@ -1111,9 +1151,14 @@ function activate(context) {
 }
 
 // This method is called when your extension is deactivated
-function deactivate() {
+async function deactivate() {
   log("CopyJedi is deactivating");
 
+  // Don't lose the last batch of typing
+  if (pasteHistory) {
+    await flushTyping();
+  }
+
   // Clean up status bar items
   if (statusBarItem) {
     statusBarItem.dispose();
@@ -1123,8 +1168,10 @@ function deactivate() {
     syncStatusBarItem.dispose();
   }
 
-  // Note: pasteEventDisposable is automatically cleaned up by VSCode
-  // when it's added to context.subscriptions in the setupPasteTracking function
+  // Restore the built-in paste command
+  if (pasteDetector) {
+    pasteDetector.dispose();
+  }
 
   // Clean up the leaderboard client
   if (leaderboardClient) {
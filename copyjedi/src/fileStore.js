@@ -0,0 +1,93 @@
+// Helpers for files shared by every open VS Code window
+//
+// Each window runs its own copy of the extension, so writes to the files in
+// global storage go through a lock file and are written atomically.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+// A lock older than this was left behind by a window that crashed
+const STALE_LOCK_MS = 10000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Try to create the lock file, clearing it first if it has gone stale
+function tryAcquireLock(lockPath) {
+  try {
+    fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+    return true;
+  } catch (error) {
+    if (error.code !== "EEXIST") throw error;
+  }
+
+  try {
+    const { mtimeMs } = fs.statSync(lockPath);
+    if (Date.now() - mtimeMs > STALE_LOCK_MS) {
+      fs.unlinkSync(lockPath);
+    }
+  } catch (error) {
+    // The other window released the lock while we were looking at it
+  }
+  return false;
+}
+
+// Run fn while holding the lock for filePath
+async function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (!tryAcquireLock(lockPath)) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${path.basename(lockPath)}`);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (error) {
+      // Already removed as stale by another window
+    }
+  }
+}
+
+// Write through a temp file and rename it, so readers never see half a file
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${crypto
+    .randomBytes(4)
+    .toString("hex")}.tmp`;
+
+  try {
+    fs.writeFileSync(tempPath, data, "utf8");
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (cleanupError) {
+      // Nothing to clean up
+    }
+    throw error;
+  }
+}
+
+// Read a JSON file, or return null if it is missing or unreadable
+function readJsonFile(filePath) {
+  try {
+    const data = fs.readFileSync(filePath, "utf8");
+    return data.trim() ? JSON.parse(data) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  withFileLock,
+  writeFileAtomic,
+  readJsonFile,
+};
@@ -0,0 +1,278 @@
+// The one HTTP layer everything that talks to the leaderboard server uses
+//
+// Requests go through the proxy from VS Code's http.proxy setting or the
+// https_proxy/http_proxy environment variables, except for hosts listed in
+// http.noProxy or no_proxy. HTTPS requests are tunneled through the proxy
+// with CONNECT. Certificates are checked against Node's CAs plus the bundle
+// in copyjedi.caBundlePath, unless http.proxyStrictSSL is turned off.
+
+const vscode = require("vscode");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const tls = require("tls");
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function moduleFor(url) {
+  return url.protocol === "https:" ? https : http;
+}
+
+function defaultPort(url) {
+  return url.port || (url.protocol === "https:" ? 443 : 80);
+}
+
+// Whether a no_proxy style list (host names, ".domain" suffixes or "*")
+// covers the host
+function bypassesProxy(hostname, noProxy) {
+  return noProxy.some((entry) => {
+    const host = entry.trim().toLowerCase().replace(/:\d+$/, "");
+    if (!host) return false;
+    if (host === "*") return true;
+
+    const domain = host.replace(/^\*?\./, "");
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  });
+}
+
+// Just enough of the fetch Response for the callers. Streamed responses
+// have the body as a stream instead.
+function toResponse(res, body) {
+  const response = {
+    status: res.statusCode,
+    statusText: res.statusMessage,
+    ok: res.statusCode >= 200 && res.statusCode < 300,
+    headers: res.headers,
+  };
+  if (typeof body !== "string") {
+    return { ...response, body };
+  }
+  return {
+    ...response,
+    text: async () => body,
+    json: async () => JSON.parse(body),
+  };
+}
+
+class HttpClient {
+  constructor(log) {
+    this.log = log;
+  }
+
+  // The proxy to use for url, or null to connect directly
+  proxyFor(url) {
+    const config = vscode.workspace.getConfiguration("http");
+    const env = process.env;
+
+    const noProxy = [
+      ...config.get("noProxy", []),
+      ...(env.no_proxy || env.NO_PROXY || "").split(","),
+    ];
+    if (bypassesProxy(url.hostname.toLowerCase(), noProxy)) return null;
+
+    const proxy =
+      config.get("proxy") ||
+      (url.protocol === "https:" ? env.https_proxy || env.HTTPS_PROXY : "") ||
+      env.http_proxy ||
+      env.HTTP_PROXY;
+    if (!proxy) return null;
+
+    try {
+      return new URL(proxy.includes("://") ? proxy : `http://${proxy}`);
+    } catch (error) {
+      this.log(`Ignoring invalid proxy URL ${proxy}`);
+      return null;
+    }
+  }
+
+  // Certificate options for TLS connections, to the server or the proxy
+  tlsOptions() {
+    const options = {
+      rejectUnauthorized: vscode.workspace
+        .getConfiguration("http")
+        .get("proxyStrictSSL", true),
+    };
+
+    const caBundlePath = vscode.workspace
+      .getConfiguration("copyjedi")
+      .get("caBundlePath");
+    if (caBundlePath) {
+      try {
+        options.ca = [
+          ...tls.rootCertificates,
+          fs.readFileSync(caBundlePath, "utf8"),
+        ];
+      } catch (error) {
+        this.log(`Error reading CA bundle ${caBundlePath}: ${error.message}`);
+      }
+    }
+
+    return options;
+  }
+
+  // Send a request and resolve with a fetch-like response once the whole
+  // body is in. Options are method, headers, body and timeout (ms), which
+  // covers connecting, the proxy and reading the response. With stream set
+  // it resolves as soon as the headers are in, with the body as a readable
+  // stream, and the timeout ends there.
+  async request(url, options = {}) {
+    const target = new URL(url);
+    const method = options.method || "GET";
+    const proxy = this.proxyFor(target);
+    const started = Date.now();
+    const description = `${method} ${target.origin}${target.pathname}${
+      proxy ? ` via proxy ${proxy.host}` : ""
+    }`;
+
+    try {
+      const response = await this.send(target, proxy, {
+        method,
+        headers: options.headers || {},
+        body: options.body,
+        timeout: options.timeout || DEFAULT_TIMEOUT_MS,
+        stream: options.stream || false,
+      });
+      this.log(
+        `HTTP ${description}: ${response.status} in ${Date.now() - started}ms`
+      );
+      return response;
+    } catch (error) {
+      this.log(`HTTP ${description} failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  send(target, proxy, { method, headers, body, timeout, stream }) {
+    const tlsOptions = this.tlsOptions();
+    const proxyHeaders = {};
+    if (proxy && proxy.username) {
+      const credentials = `${decodeURIComponent(
+        proxy.username
+      )}:${decodeURIComponent(proxy.password)}`;
+      proxyHeaders["Proxy-Authorization"] = `Basic ${Buffer.from(
+        credentials
+      ).toString("base64")}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      const pending = new Set();
+      let settled = false;
+
+      const finish = (error, response) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (error) {
+          pending.forEach((stream) => stream.destroy());
+          reject(error);
+        } else {
+          resolve(response);
+        }
+      };
+
+      const timer = setTimeout(
+        () => finish(new Error(`Request timeout after ${timeout}ms`)),
+        timeout
+      );
+
+      const track = (stream) => {
+        pending.add(stream);
+        stream.on("error", (error) => finish(error));
+        return stream;
+      };
+
+      const onResponse = (res) => {
+        if (stream) {
+          finish(null, toResponse(res, res));
+          return;
+        }
+
+        track(res);
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          finish(null, toResponse(res, Buffer.concat(chunks).toString("utf8")))
+        );
+      };
+
+      const write = (req) => {
+        track(req);
+        if (body !== undefined) req.write(body);
+        req.end();
+      };
+
+      const requestOptions = {
+        method,
+        headers: { Host: target.host, ...headers },
+      };
+
+      if (!proxy) {
+        write(
+          moduleFor(target).request(
+            target,
+            { ...requestOptions, ...tlsOptions },
+            onResponse
+          )
+        );
+        return;
+      }
+
+      if (target.protocol === "http:") {
+        // Plain HTTP goes to the proxy with the full URL as the path
+        write(
+          moduleFor(proxy).request(
+            {
+              ...requestOptions,
+              ...tlsOptions,
+              host: proxy.hostname,
+              port: defaultPort(proxy),
+              path: target.href,
+              headers: { ...requestOptions.headers, ...proxyHeaders },
+            },
+            onResponse
+          )
+        );
+        return;
+      }
+
+      // HTTPS goes through a CONNECT tunnel, TLS runs end to end inside it
+      const authority = `${target.hostname}:${defaultPort(target)}`;
+      const connect = track(
+        moduleFor(proxy).request({
+          ...tlsOptions,
+          method: "CONNECT",
+          host: proxy.hostname,
+          port: defaultPort(proxy),
+          path: authority,
+          headers: { Host: authority, ...proxyHeaders },
+        })
+      );
+      connect.on("connect", (res, socket) => {
+        track(socket);
+        if (res.statusCode !== 200) {
+          finish(new Error(`Proxy refused tunnel: ${res.statusCode}`));
+          return;
+        }
+
+        write(
+          https.request(
+            target,
+            {
+              ...requestOptions,
+              createConnection: () =>
+                tls.connect({
+                  ...tlsOptions,
+                  socket,
+                  servername: target.hostname,
+                }),
+            },
+            onResponse
+          )
+        );
+      });
+      connect.end();
+    });
+  }
+}
+
+module.exports = HttpClient;
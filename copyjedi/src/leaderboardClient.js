@@ -1,43 +1,59 @@
-// This is a sample implementation of the leaderboard API client
-// that can be integrated into the extension in the future
+// Client for the leaderboard server: connection status, the leaderboard view
+// and server configuration. Submissions go through the SyncEngine.
 
 const vscode = require("vscode");
+const crypto = require("crypto");
+const HttpClient = require("./httpClient");
+const { getSharingLevel, isSharingEnabled } = require("./privacy");
+
+// SecretStorage key for the user's leaderboard token
+const TOKEN_SECRET = "copyjedi.leaderboardToken";
+
+// globalState keys for the user ID, and for the ID older versions kept in
+// the stats file until its server record is moved to the new one
+const USER_ID_KEY = "copyjedi.userId";
+const LEGACY_USER_ID_KEY = "copyjedi.legacyUserId";
+
+const PLATFORM_NAMES = {
+  darwin: "macOS",
+  linux: "Linux",
+  win32: "Windows",
+};
+
+// How this machine is listed on the user's profile. Host names can give
+// away who someone is, so it's the platform and a bit of the machine ID.
+function defaultDeviceName() {
+  const platform = PLATFORM_NAMES[process.platform] || process.platform;
+  return `${platform} (${vscode.env.machineId.slice(0, 6)})`;
+}
 
-// Don't directly require node-fetch here, we'll use the extension.js fetch implementation
-// through a function we'll pass in
+// What the server is told about this machine: nothing unless the user
+// shares a full profile
+function deviceProfile(deviceName) {
+  if (getSharingLevel() !== "full") return {};
+  return {
+    deviceName: deviceName || defaultDeviceName(),
+    os: process.platform,
+  };
+}
 
 class LeaderboardClient {
-  constructor(context) {
+  constructor(context, log) {
     this.context = context;
+    this.log = log;
+    this.httpClient = new HttpClient(log);
     this.config = vscode.workspace.getConfiguration("copyjedi");
     this.apiUrl =
       this.config.get("leaderboardApiUrl") ||
       this.config.get("leaderboardServerUrl") ||
       "https://api.copyjedi.com"; // Updated to a real endpoint
-    this.enabled = this.config.get("leaderboardEnabled") || false;
     this.offlineMode = false;
     this.lastConnectionAttempt = 0;
     this.connectionRetryInterval = 30 * 60 * 1000; // 30 minutes
-    this.pendingSubmissions = []; // Store submissions when offline
-
-    // Get reference to the output channel
-    try {
-      this.outputChannel = vscode.window.createOutputChannel("CopyJedi");
-    } catch (error) {
-      console.error("Failed to create output channel:", error);
-      // Use a dummy output channel as fallback
-      this.outputChannel = {
-        appendLine: (message) => console.log(message),
-      };
-    }
-  }
 
-  // Log messages
-  log(message) {
-    console.log(message);
-    this.outputChannel.appendLine(
-      `[${new Date().toLocaleTimeString()}] ${message}`
-    );
+    // Fired when the server can be reached again after being offline
+    this.onDidReconnectEmitter = new vscode.EventEmitter();
+    this.onDidReconnect = this.onDidReconnectEmitter.event;
   }
 
   // Initialize and update configuration when changed
@@ -50,7 +66,6 @@ class LeaderboardClient {
           this.config.get("leaderboardApiUrl") ||
           this.config.get("leaderboardServerUrl") ||
           "https://api.copyjedi.com";
-        this.enabled = this.config.get("leaderboardEnabled") || false;
 
         // Reset offline mode when configuration changes to allow retrying
         if (
@@ -69,43 +84,20 @@ class LeaderboardClient {
     this.checkServerAvailability();
   }
 
-  // Fetch function that uses the global VS Code fetch or our custom implementation
-  async fetch(url, options = {}) {
-    try {
-      // Try using VS Code's built-in fetch
-      if (typeof globalThis.fetch === "function") {
-        const controller = new AbortController();
-        const timeout = options.timeout || 10000;
-        delete options.timeout;
-
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
-        options.signal = controller.signal;
+  // All requests to the server go through here, so they honour the proxy
+  // and certificate settings. Takes method, headers, body and timeout.
+  fetch(url, options = {}) {
+    return this.httpClient.request(url, options);
+  }
 
-        try {
-          const response = await globalThis.fetch(url, options);
-          clearTimeout(timeoutId);
-          return response;
-        } catch (error) {
-          clearTimeout(timeoutId);
-          if (error.name === "AbortError") {
-            throw new Error(`Request timeout after ${timeout}ms`);
-          }
-          throw error;
-        }
-      } else {
-        // Fallback to node-fetch
-        const nodeFetch = require("node-fetch");
-        return nodeFetch(url, options);
-      }
-    } catch (e) {
-      this.log(`Error in LeaderboardClient fetch: ${e.message}`);
-      throw e;
-    }
+  // A long-lived response with its body as a stream, e.g. for live updates
+  openStream(url, options = {}) {
+    return this.httpClient.request(url, { ...options, stream: true });
   }
 
   // Check if the server is available
   async checkServerAvailability() {
-    if (!this.enabled) return false;
+    if (!isSharingEnabled()) return false;
 
     try {
       const now = Date.now();
@@ -138,7 +130,7 @@ class LeaderboardClient {
             timeout: 5000, // 5 second timeout
             headers: {
               Accept: "application/json",
-              "User-Agent": `VSCode-CopyJedi/${vscode.version}`,
+              "User-Agent": "VSCode-CopyJedi",
             },
             cache: "no-cache", // Prevent caching issues
           });
@@ -159,17 +151,11 @@ class LeaderboardClient {
       if (connected) {
         // We're connected!
         if (this.offlineMode) {
-          // We're back online
-          this.offlineMode = false;
           vscode.window.showInformationMessage(
             "CopyJedi: Leaderboard connection restored!"
           );
-
-          // Try to submit any pending data
-          if (this.pendingSubmissions.length > 0) {
-            this.submitPendingData();
-          }
         }
+        this.setOnline(true);
       } else {
         this.offlineMode = true;
         this.log("All connection attempts failed, switching to offline mode");
@@ -183,230 +169,385 @@ class LeaderboardClient {
     return !this.offlineMode;
   }
 
-  // Submit any pending data when we're back online
-  async submitPendingData() {
-    if (this.pendingSubmissions.length === 0) return;
+  // Record whether the server could be reached, e.g. after a submission
+  setOnline(online) {
+    const reconnected = online && this.offlineMode;
+    this.offlineMode = !online;
+    if (online) {
+      this.lastConnectionAttempt = Date.now();
+    }
+    if (reconnected) {
+      this.onDidReconnectEmitter.fire();
+    }
+  }
 
-    vscode.window.showInformationMessage(
-      `CopyJedi: Submitting ${this.pendingSubmissions.length} pending updates to leaderboard...`
-    );
+  // The leaderboard user ID. It lives in globalState rather than the stats
+  // file, so a broken stats file can't change who you are.
+  getUserId() {
+    return this.context.globalState.get(USER_ID_KEY);
+  }
+
+  // Create the user ID the first time the extension runs. An ID from an
+  // older version is kept until its record has been moved over, if this
+  // machine registered it. Unregistered records can't be claimed any more,
+  // so those users start a new one from their paste history.
+  async initUserId(legacyUserId) {
+    if (this.getUserId()) return;
+
+    await this.context.globalState.update(USER_ID_KEY, crypto.randomUUID());
+    if (!legacyUserId) return;
+
+    const identity = await this.readIdentity();
+    if (identity && identity.userId === legacyUserId) {
+      await this.context.globalState.update(LEGACY_USER_ID_KEY, legacyUserId);
+      this.log(`Replacing legacy user ID ${legacyUserId}`);
+    } else {
+      this.log(`Leaving unregistered legacy user ID ${legacyUserId} behind`);
+    }
+  }
+
+  // Whether there is a record from an older version still to move over.
+  // Those versions sent lifetime totals, which the server already counts.
+  hasLegacyUser() {
+    return Boolean(this.context.globalState.get(LEGACY_USER_ID_KEY));
+  }
+
+  // Switch to another user ID, e.g. after joining another device's account
+  async setUserId(userId) {
+    await this.context.globalState.update(USER_ID_KEY, userId);
+    await this.context.globalState.update(LEGACY_USER_ID_KEY, undefined);
+    this.log(`User ID changed to ${userId}`);
+  }
 
-    // Take only one submission - the latest one with cumulative stats
-    const latestSubmission =
-      this.pendingSubmissions[this.pendingSubmissions.length - 1];
+  // The user ID and token kept in SecretStorage, if any
+  async readIdentity() {
+    const saved = await this.context.secrets.get(TOKEN_SECRET);
+    if (!saved) return null;
 
     try {
-      const success = await this.submitStatsToServer(latestSubmission);
-      if (success) {
-        // Clear all pending submissions if successful
-        this.pendingSubmissions = [];
-      }
+      return JSON.parse(saved);
     } catch (error) {
-      this.log(`CopyJedi: Failed to submit pending data - ${error.message}`);
+      return null;
     }
   }
 
-  // Submit stats to the leaderboard
-  async submitStats(stats) {
-    if (!this.enabled) {
-      vscode.window.showInformationMessage(
-        "CopyJedi: Leaderboard submissions are disabled in settings"
+  // The token the server issued for this user ID
+  async readToken(userId) {
+    const identity = await this.readIdentity();
+    return identity && identity.userId === userId ? identity.token : null;
+  }
+
+  async storeToken(userId, token) {
+    await this.context.secrets.store(
+      TOKEN_SECRET,
+      JSON.stringify({ userId, token })
+    );
+  }
+
+  // The user's token, registering with the server the first time
+  async getToken(userId) {
+    const saved = await this.readToken(userId);
+    if (saved) return saved;
+
+    const migrated = await this.migrateLegacyUser(userId);
+    if (migrated) return migrated;
+
+    const token = await this.register(userId);
+    await this.storeToken(userId, token);
+    return token;
+  }
+
+  // Register a user ID with the server and return the token it issues
+  async register(userId) {
+    this.log(`Registering ${userId} with the leaderboard server`);
+    const response = await this.fetch(`${this.apiUrl}/api/register`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ userId, ...deviceProfile() }),
+      timeout: 10000,
+    });
+
+    if (response.status === 409) {
+      throw new Error(
+        'This leaderboard ID is already registered elsewhere. Run "CopyJedi: Sign Out / Forget Identity" to start a new one'
       );
-      return false;
     }
-
-    if (!stats.userId) {
-      vscode.window.showErrorMessage(
-        "CopyJedi: Missing user ID for leaderboard submission"
+    if (!response.ok) {
+      throw new Error(
+        `Registration failed - server returned ${response.status}`
       );
-      return false;
     }
 
-    // Check server availability if we're in offline mode or it's been a while
-    if (
-      this.offlineMode ||
-      Date.now() - this.lastConnectionAttempt > this.connectionRetryInterval
-    ) {
-      await this.checkServerAvailability();
+    const { token } = await response.json();
+    return token;
+  }
+
+  // Move the server record of the ID an older version registered over to
+  // userId. Returns the token for userId, or null if there is nothing to
+  // move or the server won't move it. Network errors are thrown, to try
+  // again later.
+  async migrateLegacyUser(userId) {
+    const identity = await this.readIdentity();
+    if (!identity || identity.userId === userId) return null;
+
+    const { userId: legacyUserId, token } = identity;
+    this.log(`Moving leaderboard record ${legacyUserId} to ${userId}`);
+
+    const response = await this.fetch(
+      `${this.apiUrl}/api/user/${encodeURIComponent(legacyUserId)}/migrate`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ newUserId: userId }),
+        timeout: 10000,
+      }
+    );
+
+    if (response.status >= 500) {
+      throw new Error(`Migration failed - server returned ${response.status}`);
+    }
+    if (!response.ok) {
+      this.log(`Server refused to move ${legacyUserId}: ${response.status}`);
+      await this.forgetLegacyUser();
+      return null;
     }
 
-    // If we're in offline mode, store for later submission
-    if (this.offlineMode) {
-      this.pendingSubmissions.push(stats);
-      vscode.window.showInformationMessage(
-        "CopyJedi: Leaderboard server is unavailable. Your stats will be submitted when connection is restored."
-      );
-      return false;
+    await this.storeToken(userId, token);
+    await this.context.globalState.update(LEGACY_USER_ID_KEY, undefined);
+    return token;
+  }
+
+  async forgetLegacyUser() {
+    await this.context.globalState.update(LEGACY_USER_ID_KEY, undefined);
+    await this.context.secrets.delete(TOKEN_SECRET);
+  }
+
+  // Headers that prove to write routes that the request comes from the user
+  async getAuthHeaders(userId) {
+    return { Authorization: `Bearer ${await this.getToken(userId)}` };
+  }
+
+  // Have the server issue a new token, invalidating the old one
+  async rotateToken(userId) {
+    const response = await this.fetch(
+      `${this.apiUrl}/api/user/${encodeURIComponent(userId)}/token`,
+      {
+        method: "POST",
+        headers: await this.getAuthHeaders(userId),
+        timeout: 10000,
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`server returned ${response.status}`);
     }
 
-    return this.submitStatsToServer(stats);
+    const { token } = await response.json();
+    await this.storeToken(userId, token);
   }
 
-  // The actual server submission logic
-  async submitStatsToServer(stats) {
-    try {
-      const response = await this.fetch(`${this.apiUrl}/api/submit`, {
+  // A short-lived code another device can enter to join this account
+  async createPairingCode(userId) {
+    const response = await this.fetch(
+      `${this.apiUrl}/api/user/${encodeURIComponent(userId)}/pairing-code`,
+      {
+        method: "POST",
+        headers: await this.getAuthHeaders(userId),
+        timeout: 10000,
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`server returned ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Join the account a pairing code belongs to. If this machine already had
+  // an account, its stats are merged in. Resolves with the account's user ID.
+  async pair(code, deviceName, previousUserId) {
+    const previousToken = await this.readToken(previousUserId);
+    const profile = deviceProfile(deviceName);
+
+    const response = await this.fetch(`${this.apiUrl}/api/pair`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(previousToken ? { Authorization: `Bearer ${previousToken}` } : {}),
+      },
+      body: JSON.stringify({
+        code,
+        ...profile,
+        previousUserId: previousToken ? previousUserId : undefined,
+      }),
+      timeout: 10000,
+    });
+
+    if (response.status === 404) {
+      throw new Error("The pairing code is invalid or has expired");
+    }
+    if (!response.ok) {
+      throw new Error(`server returned ${response.status}`);
+    }
+
+    const { userId, token } = await response.json();
+    await this.storeToken(userId, token);
+    return userId;
+  }
+
+  // Tell the server whether to show the full profile or the totals only
+  async updateSharing(userId, sharing) {
+    const response = await this.fetch(
+      `${this.apiUrl}/api/user/${encodeURIComponent(userId)}/sharing`,
+      {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          ...(await this.getAuthHeaders(userId)),
         },
-        body: JSON.stringify({
-          userId: stats.userId,
-          totalPastes: stats.totalPastes,
-          totalLinesPasted: stats.totalLinesPasted,
-          date: stats.date,
-          // Additional metadata you might want to collect
-          os: process.platform,
-          vsCodeVersion: vscode.version,
-          // Don't collect any personally identifiable information
-        }),
-        timeout: 10000, // 10 second timeout
-      });
-
-      if (response.ok) {
-        vscode.window.showInformationMessage(
-          "CopyJedi: Stats submitted to leaderboard successfully!"
-        );
-        return true;
-      } else {
-        const errorText = await response.text();
-        vscode.window.showErrorMessage(
-          `CopyJedi: Failed to submit stats - server returned ${response.status} - ${errorText}`
-        );
-        return false;
+        body: JSON.stringify({ sharing }),
+        timeout: 10000,
       }
-    } catch (error) {
-      // Mark as offline if we get connection errors
-      this.offlineMode = true;
-      vscode.window.showErrorMessage(
-        `CopyJedi: Error submitting to leaderboard - ${error.message}`
-      );
-      return false;
+    );
+
+    if (!response.ok) {
+      throw new Error(`server returned ${response.status}`);
     }
   }
 
-  // Get current leaderboard data
-  async getLeaderboard() {
-    // Check connection first
-    if (this.offlineMode) {
-      await this.checkServerAvailability();
+  // Whether a leaderboard name can be used, as { available, error }
+  async checkUsername(name, userId) {
+    const params = new URLSearchParams({ name });
+    if (userId) params.set("userId", userId);
 
-      if (this.offlineMode) {
-        vscode.window.showErrorMessage(
-          "CopyJedi: Cannot fetch leaderboard - server is unavailable"
-        );
-        return null;
+    const response = await this.fetch(
+      `${this.apiUrl}/api/username/available?${params}`,
+      { timeout: 5000 }
+    );
+    if (!response.ok) {
+      throw new Error(`server returned ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Set the name shown on the leaderboard. Names the server turns down are
+  // thrown with its reason as the message.
+  async setUsername(userId, username) {
+    const response = await this.fetch(
+      `${this.apiUrl}/api/user/${encodeURIComponent(userId)}/username`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(await this.getAuthHeaders(userId)),
+        },
+        body: JSON.stringify({ username }),
+        timeout: 10000,
       }
+    );
+
+    if (response.status === 400 || response.status === 409) {
+      const { error } = await response.json();
+      throw new Error(error);
     }
+    if (!response.ok) {
+      throw new Error(`server returned ${response.status}`);
+    }
+  }
 
-    try {
-      const response = await this.fetch(`${this.apiUrl}/leaderboard`);
-      return await response.json();
-    } catch (error) {
-      this.offlineMode = true;
-      vscode.window.showErrorMessage(
-        `CopyJedi: Error fetching leaderboard - ${error.message}`
-      );
-      return null;
+  // Delete the user's record and daily history from the server. Resolves
+  // with false if this machine never registered, as then there is nothing
+  // on the server it could prove is its own.
+  async deleteUserData(userId) {
+    if (!(await this.readIdentity())) return false;
+
+    const response = await this.fetch(
+      `${this.apiUrl}/api/user/${encodeURIComponent(userId)}`,
+      {
+        method: "DELETE",
+        headers: await this.getAuthHeaders(userId),
+        timeout: 10000,
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`server returned ${response.status}`);
     }
+    this.log(`Deleted leaderboard data of ${userId}`);
+    return true;
   }
 
-  // Show leaderboard in a webview panel
-  async showLeaderboard() {
-    try {
-      const leaderboardData = await this.getLeaderboard();
-      if (!leaderboardData) return;
-
-      // Create and show a webview
-      const panel = vscode.window.createWebviewPanel(
-        "copyJediLeaderboard",
-        "CopyJedi Leaderboard",
-        vscode.ViewColumn.One,
-        { enableScripts: true }
-      );
+  // Remove the token from this machine
+  async forgetToken() {
+    await this.context.secrets.delete(TOKEN_SECRET);
+  }
 
-      panel.webview.html = this.getLeaderboardHtml(leaderboardData);
+  // One page of the leaderboard, as { entries, total, range }. While
+  // sharing is on, the user's own entry is flagged, or added at the end with
+  // its rank if it isn't on the page. The period is all-time, today, week,
+  // month or custom with from and to (YYYY-MM-DD); range is the days the
+  // server added up, as { from, to }, or null for all-time.
+  async getLeaderboard({
+    sort = "totalPastes",
+    page = 1,
+    pageSize = 25,
+    search = "",
+    period = "all-time",
+    from = "",
+    to = "",
+  } = {}) {
+    const params = new URLSearchParams({
+      page: String(page),
+      limit: String(pageSize),
+    });
+    params.set("sort", sort);
+    if (search) params.set("search", search);
+    if (period !== "all-time") params.set("period", period);
+    if (period === "custom" && from) params.set("from", from);
+    if (period === "custom" && to) params.set("to", to);
+
+    const userId = this.getUserId();
+    if (userId && isSharingEnabled()) params.set("userId", userId);
+
+    let response;
+    try {
+      response = await this.fetch(`${this.apiUrl}/api/leaderboard?${params}`);
     } catch (error) {
-      vscode.window.showErrorMessage(
-        `CopyJedi: Error showing leaderboard - ${error.message}`
+      this.setOnline(false);
+      throw error;
+    }
+    this.setOnline(true);
+
+    // A custom range the server won't accept, e.g. one that is too long
+    if (response.status === 400) {
+      const { error, fields } = await response.json();
+      throw new Error(
+        fields
+          ? Object.entries(fields)
+              .map(([field, problem]) => `${field.split(".").pop()} ${problem}`)
+              .join(", ")
+          : error
       );
     }
-  }
+    if (!response.ok) {
+      throw new Error(`server returned ${response.status}`);
+    }
 
-  // Generate HTML for the leaderboard webview
-  getLeaderboardHtml(data) {
-    return `
-            <!DOCTYPE html>
-            <html lang="en">
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>CopyJedi Leaderboard</title>
-                <style>
-                    body {
-                        font-family: Arial, sans-serif;
-                        padding: 20px;
-                        color: var(--vscode-foreground);
-                        background-color: var(--vscode-editor-background);
-                    }
-                    table {
-                        width: 100%;
-                        border-collapse: collapse;
-                        margin-top: 20px;
-                    }
-                    th, td {
-                        text-align: left;
-                        padding: 8px;
-                        border-bottom: 1px solid var(--vscode-panel-border);
-                    }
-                    th {
-                        background-color: var(--vscode-editor-selectionBackground);
-                    }
-                    tr:hover {
-                        background-color: var(--vscode-list-hoverBackground);
-                    }
-                    .highlight {
-                        background-color: var(--vscode-editor-findMatchHighlightBackground);
-                    }
-                    h1 {
-                        color: var(--vscode-textLink-foreground);
-                    }
-                </style>
-            </head>
-            <body>
-                <h1>CopyJedi Global Leaderboard</h1>
-                <p>See how your paste habits compare to Jedi Masters worldwide!</p>
-                
-                <table>
-                    <tr>
-                        <th>Rank</th>
-                        <th>User</th>
-                        <th>Total Pastes</th>
-                        <th>Total Lines</th>
-                        <th>Last Active</th>
-                    </tr>
-                    ${data
-                      .map(
-                        (user, index) => `
-                        <tr class="${user.isCurrentUser ? "highlight" : ""}">
-                            <td>${index + 1}</td>
-                            <td>${
-                              user.username ||
-                              "Anonymous Jedi " + user.userId.substr(-4)
-                            }</td>
-                            <td>${user.totalPastes}</td>
-                            <td>${user.totalLinesPasted}</td>
-                            <td>${new Date(
-                              user.lastActive
-                            ).toLocaleDateString()}</td>
-                        </tr>
-                    `
-                      )
-                      .join("")}
-                </table>
-            </body>
-            </html>
-        `;
+    const entries = await response.json();
+    const total = parseInt(response.headers["x-total-count"]);
+    const [rangeFrom, rangeTo] = (response.headers["x-period"] || "").split(
+      "/"
+    );
+    return {
+      entries,
+      total: isNaN(total) ? entries.length : total,
+      range: rangeTo ? { from: rangeFrom, to: rangeTo } : null,
+    };
   }
 
   // Configure the leaderboard server
@@ -453,6 +594,7 @@ class LeaderboardClient {
     if (this.configListener) {
       this.configListener.dispose();
     }
+    this.onDidReconnectEmitter.dispose();
   }
 }
 
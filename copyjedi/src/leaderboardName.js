@@ -0,0 +1,100 @@
+// Choosing the name shown on the leaderboard
+//
+// The input box checks with the server whether the name can be used while
+// it is typed. The server has the final say and its reasons are shown in
+// the box.
+
+const vscode = require("vscode");
+
+// The server's rules for names that don't need a round trip to check
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 20;
+// Wait for a pause in typing before asking the server
+const CHECK_DELAY_MS = 300;
+
+function localProblem(name) {
+  if (!name) return "Enter a name";
+  if (name.length < MIN_LENGTH || name.length > MAX_LENGTH) {
+    return `Names must be ${MIN_LENGTH} to ${MAX_LENGTH} characters long`;
+  }
+  if (!NAME_PATTERN.test(name)) {
+    return 'Names can only contain letters, digits, "_" and "-", and must start with a letter or digit';
+  }
+  return null;
+}
+
+// Ask for a name and set it. Resolves with the new name, or undefined if
+// the user gave up.
+function promptForLeaderboardName(leaderboardClient, userId, log) {
+  return new Promise((resolve) => {
+    const input = vscode.window.createInputBox();
+    input.title = "CopyJedi: Set Leaderboard Name";
+    input.prompt = `${MIN_LENGTH} to ${MAX_LENGTH} letters, digits, "_" or "-"`;
+    input.placeholder = "e.g. CtrlVader";
+    input.ignoreFocusOut = true;
+
+    let checkTimeout;
+    let checked = null;
+    let result;
+
+    input.onDidChangeValue((value) => {
+      clearTimeout(checkTimeout);
+      checked = null;
+      const name = value.trim();
+      const problem = localProblem(name);
+      input.validationMessage = name ? problem || undefined : undefined;
+      if (problem) return;
+
+      checkTimeout = setTimeout(async () => {
+        try {
+          const { available, error } = await leaderboardClient.checkUsername(
+            name,
+            userId
+          );
+          // Only show the answer if the name hasn't changed since
+          if (input.value.trim() !== name) return;
+          checked = name;
+          input.validationMessage = available ? undefined : error;
+        } catch (error) {
+          log(`Error checking leaderboard name: ${error.message}`);
+        }
+      }, CHECK_DELAY_MS);
+    });
+
+    input.onDidAccept(async () => {
+      const name = input.value.trim();
+      const problem = localProblem(name);
+      if (problem) {
+        input.validationMessage = problem;
+        return;
+      }
+      if (checked === name && input.validationMessage) return;
+
+      input.busy = true;
+      input.enabled = false;
+      try {
+        await leaderboardClient.setUsername(userId, name);
+        result = name;
+        input.hide();
+      } catch (error) {
+        input.validationMessage = error.message;
+      } finally {
+        input.busy = false;
+        input.enabled = true;
+      }
+    });
+
+    input.onDidHide(() => {
+      clearTimeout(checkTimeout);
+      input.dispose();
+      resolve(result);
+    });
+
+    input.show();
+  });
+}
+
+module.exports = {
+  promptForLeaderboardName,
+};
@@ -0,0 +1,505 @@
+// Global leaderboard webview, one page at a time
+//
+// The webview asks for pages (sort, period, page, search) through messages
+// and the rows are redrawn in place. Standings the server pushes fetch the
+// page again when they change rows on it. Periods other than all-time rank
+// the totals of the days in the period, which the server counts in UTC.
+// Names come from other users, so the page only ever sets them as text.
+
+const vscode = require("vscode");
+const crypto = require("crypto");
+
+const PAGE_SIZE = 25;
+const MAX_SEARCH_LENGTH = 50;
+const SORT_OPTIONS = [
+  { value: "totalPastes", label: "Pastes" },
+  { value: "totalLinesPasted", label: "Lines" },
+  { value: "lastActive", label: "Last active" },
+];
+const PERIOD_OPTIONS = [
+  { value: "all-time", label: "All time" },
+  { value: "today", label: "Today" },
+  { value: "week", label: "This week" },
+  { value: "month", label: "This month" },
+  { value: "custom", label: "Custom range" },
+];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Pushed standings refetch the page at most this often. Fetches count
+// against the same server rate limit as sync.
+const LIVE_REFRESH_INTERVAL_MS = 60 * 1000;
+
+function displayName(entry) {
+  return entry.username || `Anonymous Jedi ${entry.id.slice(-4)}`;
+}
+
+// What the webview needs of an entry
+function toRow(entry) {
+  return {
+    rank: entry.rank,
+    name: displayName(entry),
+    totalPastes: entry.totalPastes || 0,
+    totalLinesPasted: entry.totalLinesPasted || 0,
+    lastActive: entry.lastActive
+      ? new Date(entry.lastActive).toLocaleDateString()
+      : "",
+    isCurrentUser: Boolean(entry.isCurrentUser),
+    // Flagged by the server's plausibility checks and not ranked for now
+    underReview: Boolean(entry.underReview),
+  };
+}
+
+class LeaderboardPanel {
+  constructor(context, leaderboardClient, log) {
+    this.context = context;
+    this.leaderboardClient = leaderboardClient;
+    this.log = log;
+    this.panel = null;
+    this.query = {
+      sort: "totalPastes",
+      period: "all-time",
+      from: "",
+      to: "",
+      page: 1,
+      search: "",
+    };
+    // Only the answer to the latest request is shown
+    this.requestId = 0;
+    // Entries on the page shown, by public ID
+    this.shownEntries = new Map();
+    this.lastRefreshAt = 0;
+    this.liveRefreshTimeout = null;
+    // Pushed standings changed rows while the panel was hidden
+    this.stale = false;
+  }
+
+  // Open the leaderboard, or bring it to the front if it is already open
+  show() {
+    if (this.panel) {
+      this.panel.reveal();
+      this.refresh();
+      return;
+    }
+
+    // A newly opened leaderboard starts without a search
+    this.query = { ...this.query, page: 1, search: "" };
+    this.panel = vscode.window.createWebviewPanel(
+      "copyJediLeaderboard",
+      "CopyJedi Leaderboard",
+      vscode.ViewColumn.One,
+      { enableScripts: true, localResourceRoots: [] }
+    );
+
+    this.panel.onDidDispose(
+      () => {
+        this.panel = null;
+        this.shownEntries = new Map();
+        clearTimeout(this.liveRefreshTimeout);
+        this.liveRefreshTimeout = null;
+      },
+      null,
+      this.context.subscriptions
+    );
+    this.panel.onDidChangeViewState(
+      () => {
+        if (this.panel && this.panel.visible && this.stale) {
+          this.scheduleLiveRefresh();
+        }
+      },
+      null,
+      this.context.subscriptions
+    );
+    this.panel.webview.onDidReceiveMessage(
+      (message) => this.handleMessage(message),
+      null,
+      this.context.subscriptions
+    );
+
+    // The page asks for its first rows once its script runs
+    this.panel.webview.html = this.getLeaderboardHtml(
+      this.panel.webview.cspSource
+    );
+  }
+
+  handleMessage(message) {
+    if (message.type === "query") {
+      const sort = SORT_OPTIONS.some(({ value }) => value === message.sort)
+        ? message.sort
+        : "totalPastes";
+      const period = PERIOD_OPTIONS.some(
+        ({ value }) => value === message.period
+      )
+        ? message.period
+        : "all-time";
+      // The server checks that the dates are real and the range isn't too
+      // long
+      const date = (value) => (DATE_PATTERN.test(value) ? value : "");
+      this.query = {
+        sort,
+        period,
+        from: date(message.from),
+        to: date(message.to),
+        page: Math.max(1, parseInt(message.page) || 1),
+        search: String(message.search || "")
+          .trim()
+          .slice(0, MAX_SEARCH_LENGTH),
+      };
+    }
+
+    if (message.type === "query" || message.type === "refresh") {
+      this.refresh();
+    }
+  }
+
+  // Standings pushed by the server, as { top, changes }. The page is only
+  // fetched again when rows on it changed, and not more often than
+  // LIVE_REFRESH_INTERVAL_MS.
+  showLiveUpdate({ top }) {
+    if (!this.panel || !this.isStale(top)) return;
+
+    if (this.panel.visible) {
+      this.scheduleLiveRefresh();
+    } else {
+      this.stale = true;
+    }
+  }
+
+  // Whether the pushed top of the all-time leaderboard by pastes differs
+  // from what the page shows. Other periods don't add up to these totals.
+  isStale(top) {
+    if (this.query.period !== "all-time") return false;
+
+    const showsTop =
+      this.query.sort === "totalPastes" &&
+      this.query.page === 1 &&
+      !this.query.search;
+    return top.some((entry) => {
+      const shown = this.shownEntries.get(entry.id);
+      if (!shown) return showsTop;
+      return (
+        shown.totalPastes !== entry.totalPastes ||
+        shown.totalLinesPasted !== entry.totalLinesPasted ||
+        (showsTop && shown.rank !== entry.rank)
+      );
+    });
+  }
+
+  scheduleLiveRefresh() {
+    if (this.liveRefreshTimeout) return;
+
+    const delay = Math.max(
+      0,
+      this.lastRefreshAt + LIVE_REFRESH_INTERVAL_MS - Date.now()
+    );
+    this.liveRefreshTimeout = setTimeout(() => {
+      this.liveRefreshTimeout = null;
+      this.refresh();
+    }, delay);
+  }
+
+  // Fetch the current page and hand it to the webview
+  async refresh() {
+    if (!this.panel) return;
+
+    const panel = this.panel;
+    const query = this.query;
+    const requestId = ++this.requestId;
+    this.lastRefreshAt = Date.now();
+    this.stale = false;
+    panel.webview.postMessage({ type: "loading" });
+
+    try {
+      const { entries, total, range } =
+        await this.leaderboardClient.getLeaderboard({
+          ...query,
+          pageSize: PAGE_SIZE,
+        });
+      if (requestId !== this.requestId) return;
+
+      // Anything after the page is the user's own entry, added by the server
+      const onPage = Math.max(
+        0,
+        Math.min(PAGE_SIZE, total - (query.page - 1) * PAGE_SIZE)
+      );
+      const currentUser = entries.find((entry) => entry.isCurrentUser);
+      this.shownEntries = new Map(
+        entries.slice(0, onPage).map((entry) => [entry.id, entry])
+      );
+
+      panel.webview.postMessage({
+        type: "page",
+        ...query,
+        pageSize: PAGE_SIZE,
+        total,
+        range,
+        rows: entries.slice(0, onPage).map(toRow),
+        currentUser: currentUser ? toRow(currentUser) : null,
+      });
+    } catch (error) {
+      if (requestId !== this.requestId) return;
+      this.log(`Error fetching leaderboard: ${error.message}`);
+      panel.webview.postMessage({ type: "error", message: error.message });
+    }
+  }
+
+  // Generate HTML for the leaderboard webview
+  getLeaderboardHtml(cspSource) {
+    const nonce = crypto.randomBytes(16).toString("base64");
+    const sortOptions = SORT_OPTIONS.map(
+      ({ value, label }) =>
+        `<option value="${value}"${
+          value === this.query.sort ? " selected" : ""
+        }>${label}</option>`
+    ).join("");
+    const periodOptions = PERIOD_OPTIONS.map(
+      ({ value, label }) =>
+        `<option value="${value}"${
+          value === this.query.period ? " selected" : ""
+        }>${label}</option>`
+    ).join("");
+
+    return `
+            <!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src ${cspSource}; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>CopyJedi Leaderboard</title>
+                <style nonce="${nonce}">
+                    body {
+                        font-family: var(--vscode-font-family, Arial, sans-serif);
+                        padding: 20px;
+                        color: var(--vscode-foreground);
+                        background-color: var(--vscode-editor-background);
+                    }
+                    h1 {
+                        color: var(--vscode-textLink-foreground);
+                    }
+                    .controls {
+                        display: flex;
+                        gap: 8px;
+                        align-items: center;
+                        flex-wrap: wrap;
+                    }
+                    input, select, button {
+                        font-family: inherit;
+                        color: var(--vscode-input-foreground);
+                        background-color: var(--vscode-input-background);
+                        border: 1px solid var(--vscode-input-border, transparent);
+                        padding: 4px 6px;
+                    }
+                    button {
+                        color: var(--vscode-button-foreground);
+                        background-color: var(--vscode-button-background);
+                        cursor: pointer;
+                    }
+                    button:disabled {
+                        opacity: 0.5;
+                        cursor: default;
+                    }
+                    table {
+                        width: 100%;
+                        border-collapse: collapse;
+                        margin-top: 20px;
+                    }
+                    th, td {
+                        text-align: left;
+                        padding: 8px;
+                        border-bottom: 1px solid var(--vscode-panel-border);
+                    }
+                    th {
+                        background-color: var(--vscode-editor-selectionBackground);
+                    }
+                    tr:hover {
+                        background-color: var(--vscode-list-hoverBackground);
+                    }
+                    .highlight {
+                        background-color: var(--vscode-editor-findMatchHighlightBackground);
+                    }
+                    #pinned td {
+                        font-weight: bold;
+                        border-bottom: 2px solid var(--vscode-textLink-foreground);
+                    }
+                    .status {
+                        color: var(--vscode-descriptionForeground);
+                        margin-top: 12px;
+                    }
+                    .hidden {
+                        display: none;
+                    }
+                    .error {
+                        color: var(--vscode-errorForeground);
+                    }
+                </style>
+            </head>
+            <body>
+                <h1>CopyJedi Global Leaderboard</h1>
+                <p>See how your paste habits compare to Jedi Masters worldwide!</p>
+
+                <div class="controls">
+                    <label>Sort by <select id="sort">${sortOptions}</select></label>
+                    <label>Period <select id="period">${periodOptions}</select></label>
+                    <span id="range" class="controls${
+                      this.query.period === "custom" ? "" : " hidden"
+                    }">
+                        <input id="from" type="date" value="${this.query.from}">
+                        to
+                        <input id="to" type="date" value="${this.query.to}">
+                    </span>
+                    <input id="search" type="search" placeholder="Search by name" maxlength="${MAX_SEARCH_LENGTH}">
+                    <button id="refresh">Refresh</button>
+                </div>
+
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Rank</th>
+                            <th>User</th>
+                            <th>Total Pastes</th>
+                            <th>Total Lines</th>
+                            <th>Last Active</th>
+                        </tr>
+                    </thead>
+                    <tbody id="pinned"></tbody>
+                    <tbody id="rows"></tbody>
+                </table>
+
+                <p id="status" class="status">Loading...</p>
+                <div class="controls">
+                    <button id="previous" disabled>Previous</button>
+                    <span id="pageInfo"></span>
+                    <button id="next" disabled>Next</button>
+                </div>
+
+                <script nonce="${nonce}">
+                    const vscode = acquireVsCodeApi();
+                    const sort = document.getElementById("sort");
+                    const search = document.getElementById("search");
+                    const period = document.getElementById("period");
+                    const range = document.getElementById("range");
+                    const from = document.getElementById("from");
+                    const to = document.getElementById("to");
+                    const status = document.getElementById("status");
+                    const pageInfo = document.getElementById("pageInfo");
+                    const previous = document.getElementById("previous");
+                    const next = document.getElementById("next");
+                    let page = 1;
+                    let searchTimeout;
+
+                    // Days are counted in UTC, as on the server
+                    function isoDate(date) {
+                        return date.toISOString().slice(0, 10);
+                    }
+
+                    function query(newPage) {
+                        range.classList.toggle("hidden", period.value !== "custom");
+                        if (period.value === "custom" && (!from.value || !to.value)) {
+                            status.className = "status";
+                            status.textContent = "Pick the first and last day of the range.";
+                            return;
+                        }
+                        page = newPage;
+                        vscode.postMessage({
+                            type: "query",
+                            sort: sort.value,
+                            period: period.value,
+                            from: from.value,
+                            to: to.value,
+                            page,
+                            search: search.value,
+                        });
+                    }
+
+                    function periodText(message) {
+                        if (!message.range) return "";
+                        return message.range.from === message.range.to
+                            ? " on " + message.range.from
+                            : " from " + message.range.from + " to " + message.range.to;
+                    }
+
+                    function rowElement(row, label) {
+                        const tr = document.createElement("tr");
+                        if (row.isCurrentUser) tr.className = "highlight";
+                        const cells = [
+                            row.underReview ? "Under review" : row.rank ? "#" + row.rank : "Not ranked",
+                            label ? row.name + " " + label : row.name,
+                            row.totalPastes,
+                            row.totalLinesPasted,
+                            row.lastActive,
+                        ];
+                        for (const value of cells) {
+                            const td = document.createElement("td");
+                            td.textContent = value;
+                            tr.appendChild(td);
+                        }
+                        return tr;
+                    }
+
+                    function showPage(message) {
+                        page = message.page;
+                        const pages = Math.max(1, Math.ceil(message.total / message.pageSize));
+
+                        document.getElementById("pinned").replaceChildren(
+                            ...(message.currentUser ? [rowElement(message.currentUser, "(you)")] : [])
+                        );
+                        document.getElementById("rows").replaceChildren(
+                            ...message.rows.map((row) => rowElement(row))
+                        );
+
+                        status.className = "status";
+                        status.textContent = message.rows.length === 0
+                            ? (message.search
+                                ? "Nobody found by that name."
+                                : message.range
+                                    ? "Nobody pasted" + periodText(message) + "."
+                                    : "Nobody on the leaderboard yet.")
+                            : message.total + " Jedi" + (message.search ? " found" : "") + periodText(message);
+                        pageInfo.textContent = "Page " + page + " of " + pages;
+                        previous.disabled = page <= 1;
+                        next.disabled = page >= pages;
+                    }
+
+                    sort.addEventListener("change", () => query(1));
+                    period.addEventListener("change", () => {
+                        // A custom range starts as the last week
+                        if (period.value === "custom" && !from.value && !to.value) {
+                            const today = new Date();
+                            to.value = isoDate(today);
+                            from.value = isoDate(new Date(today.getTime() - 6 * 24 * 60 * 60 * 1000));
+                        }
+                        query(1);
+                    });
+                    from.addEventListener("change", () => query(1));
+                    to.addEventListener("change", () => query(1));
+                    search.addEventListener("input", () => {
+                        clearTimeout(searchTimeout);
+                        searchTimeout = setTimeout(() => query(1), 300);
+                    });
+                    previous.addEventListener("click", () => query(page - 1));
+                    next.addEventListener("click", () => query(page + 1));
+                    document.getElementById("refresh").addEventListener("click", () =>
+                        vscode.postMessage({ type: "refresh" })
+                    );
+
+                    window.addEventListener("message", (event) => {
+                        const message = event.data;
+                        if (message.type === "loading") {
+                            status.className = "status";
+                            status.textContent = "Loading...";
+                        } else if (message.type === "page") {
+                            showPage(message);
+                        } else if (message.type === "error") {
+                            status.className = "status error";
+                            status.textContent = "Could not load the leaderboard: " + message.message;
+                        }
+                    });
+
+                    vscode.postMessage({ type: "refresh" });
+                </script>
+            </body>
+            </html>
+        `;
+  }
+}
+
+module.exports = LeaderboardPanel;
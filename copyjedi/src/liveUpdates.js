@@ -0,0 +1,226 @@
+// Live leaderboard updates pushed by the server
+//
+// While sharing is on, one Server-Sent Events connection to /api/live is
+// kept open and reopened with increasing delays when it drops. The server
+// sends the global totals and the top of the leaderboard when stats change,
+// and this user's rank whenever it moves.
+
+const vscode = require("vscode");
+const { isSharingEnabled, onDidChangeSharingLevel } = require("./privacy");
+
+const LIVE_PATH = "/api/live";
+// Connecting waits a moment, so activation isn't slowed down by the network
+const INITIAL_CONNECT_DELAY_MS = 10 * 1000;
+const CONNECT_TIMEOUT_MS = 10000;
+const RECONNECT_BASE_MS = 5 * 1000;
+const RECONNECT_MAX_MS = 5 * 60 * 1000;
+// The server sends a keep-alive comment every 25 seconds, so a connection
+// that has been quiet for longer than this is gone
+const IDLE_TIMEOUT_MS = 60 * 1000;
+
+// Split a chunk of an event stream into complete events. Returns the events
+// and whatever is left over for the next chunk.
+function parseEvents(buffer) {
+  const blocks = buffer.replace(/\r\n/g, "\n").split("\n\n");
+  const rest = blocks.pop();
+  const events = [];
+
+  for (const block of blocks) {
+    let event = "message";
+    const data = [];
+    for (const line of block.split("\n")) {
+      if (line.startsWith(":")) continue;
+      const separator = line.indexOf(":");
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value =
+        separator === -1 ? "" : line.slice(separator + 1).replace(/^ /, "");
+      if (field === "event") event = value;
+      if (field === "data") data.push(value);
+    }
+    if (data.length > 0) {
+      events.push({ event, data: data.join("\n") });
+    }
+  }
+
+  return { events, rest };
+}
+
+class LiveUpdates {
+  constructor(context, leaderboardClient, log) {
+    this.context = context;
+    this.leaderboardClient = leaderboardClient;
+    this.log = log;
+    this.connection = null;
+    this.connectTimeout = null;
+    this.idleTimeout = null;
+    this.failures = 0;
+    // Bumped on every (re)connect, so a connection that was replaced while
+    // it was opening closes itself
+    this.generation = 0;
+
+    // Latest state pushed by the server
+    this.rank = null;
+    this.totals = null;
+    this.top = null;
+
+    this.onDidUpdateTotalsEmitter = new vscode.EventEmitter();
+    this.onDidUpdateTotals = this.onDidUpdateTotalsEmitter.event;
+    // Fired with { top, changes }
+    this.onDidUpdateLeaderboardEmitter = new vscode.EventEmitter();
+    this.onDidUpdateLeaderboard = this.onDidUpdateLeaderboardEmitter.event;
+    // Fired with { rank, previousRank, ahead }
+    this.onDidChangeRankEmitter = new vscode.EventEmitter();
+    this.onDidChangeRank = this.onDidChangeRankEmitter.event;
+  }
+
+  initialize() {
+    this.context.subscriptions.push(
+      onDidChangeSharingLevel(() => this.restart()),
+      vscode.workspace.onDidChangeConfiguration((e) => {
+        if (
+          e.affectsConfiguration("copyjedi.leaderboardApiUrl") ||
+          e.affectsConfiguration("copyjedi.leaderboardServerUrl")
+        ) {
+          this.restart();
+        }
+      }),
+      this.onDidUpdateTotalsEmitter,
+      this.onDidUpdateLeaderboardEmitter,
+      this.onDidChangeRankEmitter
+    );
+
+    this.restart(INITIAL_CONNECT_DELAY_MS);
+  }
+
+  // Drop the connection and open a new one if sharing is on, e.g. after a
+  // setting changed
+  restart(delay = 0) {
+    this.generation++;
+    this.disconnect();
+    this.failures = 0;
+    this.rank = null;
+    if (isSharingEnabled()) {
+      this.connectTimeout = setTimeout(() => this.connect(), delay);
+    }
+  }
+
+  async connect() {
+    const generation = ++this.generation;
+    const userId = this.leaderboardClient.getUserId();
+    const url = `${this.leaderboardClient.apiUrl}${LIVE_PATH}${
+      userId ? `?userId=${encodeURIComponent(userId)}` : ""
+    }`;
+
+    let response;
+    try {
+      response = await this.leaderboardClient.openStream(url, {
+        headers: { Accept: "text/event-stream" },
+        timeout: CONNECT_TIMEOUT_MS,
+      });
+    } catch (error) {
+      this.reconnect(generation, error.message);
+      return;
+    }
+
+    const stream = response.body;
+    if (generation !== this.generation) {
+      stream.destroy();
+      return;
+    }
+    if (!response.ok) {
+      stream.destroy();
+      this.reconnect(generation, `server returned ${response.status}`);
+      return;
+    }
+
+    this.log("Receiving live leaderboard updates");
+    this.connection = stream;
+    this.resetIdleTimeout(generation);
+
+    let buffer = "";
+    stream.setEncoding("utf8");
+    stream.on("data", (chunk) => {
+      this.resetIdleTimeout(generation);
+      const { events, rest } = parseEvents(buffer + chunk);
+      buffer = rest;
+      for (const { event, data } of events) {
+        this.handleEvent(event, data);
+      }
+    });
+    stream.on("error", (error) => this.reconnect(generation, error.message));
+    stream.on("close", () => this.reconnect(generation, "connection closed"));
+  }
+
+  handleEvent(event, data) {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      this.log(`Ignoring malformed live update: ${error.message}`);
+      return;
+    }
+
+    // The connection works, so the next drop starts with a short delay again
+    this.failures = 0;
+
+    if (event === "totals") {
+      this.totals = payload;
+      this.onDidUpdateTotalsEmitter.fire(payload);
+    } else if (event === "leaderboard") {
+      this.top = payload.top;
+      this.onDidUpdateLeaderboardEmitter.fire(payload);
+    } else if (event === "rank") {
+      this.rank = payload.rank;
+      this.onDidChangeRankEmitter.fire(payload);
+    }
+  }
+
+  resetIdleTimeout(generation) {
+    clearTimeout(this.idleTimeout);
+    this.idleTimeout = setTimeout(
+      () => this.reconnect(generation, "no data from server"),
+      IDLE_TIMEOUT_MS
+    );
+  }
+
+  // Try again after a delay that doubles with every failure in a row
+  reconnect(generation, reason) {
+    if (generation !== this.generation) return;
+    this.generation++;
+    this.disconnect();
+
+    this.failures++;
+    const delay = Math.min(
+      RECONNECT_MAX_MS,
+      RECONNECT_BASE_MS * 2 ** (this.failures - 1)
+    );
+    this.log(
+      `Live updates disconnected (${reason}), retrying in ${Math.round(
+        delay / 1000
+      )}s`
+    );
+    if (isSharingEnabled()) {
+      this.connectTimeout = setTimeout(() => this.connect(), delay);
+    }
+  }
+
+  disconnect() {
+    clearTimeout(this.connectTimeout);
+    clearTimeout(this.idleTimeout);
+    this.connectTimeout = null;
+    this.idleTimeout = null;
+
+    if (this.connection) {
+      const connection = this.connection;
+      this.connection = null;
+      connection.destroy();
+    }
+  }
+
+  dispose() {
+    this.generation++;
+    this.disconnect();
+  }
+}
+
+module.exports = LiveUpdates;
@@ -0,0 +1,669 @@
+// Paste detection for CopyJedi
+//
+// In "exact" mode we wrap the built-in paste command (and register a paste
+// edit provider where the VS Code API has one), so we know the next change to
+// the document is a paste and can report exactly which ranges it inserted.
+// "heuristic" mode keeps the original guessing based on the clipboard,
+// the size of the change and keystroke timing.
+//
+// Accepted inline suggestions, completions and snippets are not pastes. In
+// both modes we wrap the commands that accept them, and report the change
+// that follows as an "assisted insertion" instead.
+
+const vscode = require("vscode");
+const path = require("path");
+
+const PASTE_COMMAND = "editor.action.clipboardPasteAction";
+
+// Commands that accept an AI or completion suggestion, and what they accept
+const ASSIST_COMMANDS = {
+  "editor.action.inlineSuggest.commit": "inlineSuggestion",
+  "editor.action.inlineSuggest.acceptNextWord": "inlineSuggestion",
+  "editor.action.inlineSuggest.acceptNextLine": "inlineSuggestion",
+  acceptSelectedSuggestion: "suggestion",
+  acceptAlternativeSelectedSuggestion: "suggestion",
+  "editor.action.insertSnippet": "snippet",
+};
+
+// How long to wait for the document change that follows a paste
+const PENDING_PASTE_TIMEOUT_MS = 1000;
+
+// Longest insertion still counted as typing (a keystroke or an auto-closed pair)
+const MAX_TYPED_LENGTH = 2;
+
+// Read the detection mode from settings
+function getDetectionMode() {
+  const config = vscode.workspace.getConfiguration("copyjedi");
+  return config.get("detectionMode") === "heuristic" ? "heuristic" : "exact";
+}
+
+// Work out where each change ended up in the document after the edit, as
+// character offsets. Changes earlier in the document shift the ones that
+// come after them.
+function getInsertedOffsets(contentChanges) {
+  return contentChanges
+    .filter((change) => change.text.length > 0)
+    .map((change) => {
+      const shift = contentChanges
+        .filter((other) => other.rangeOffset < change.rangeOffset)
+        .reduce(
+          (total, other) => total + other.text.length - other.rangeLength,
+          0
+        );
+      const startOffset = change.rangeOffset + shift;
+      return [startOffset, startOffset + change.text.length];
+    });
+}
+
+// Where the changes put their text, along with the document version the
+// offsets and ranges belong to. Taken while the document is still at the
+// version the changes produced.
+function getInsertion(document, contentChanges) {
+  const offsets = getInsertedOffsets(contentChanges);
+  return {
+    version: document.version,
+    offsets,
+    ranges: offsets.map(
+      ([start, end]) =>
+        new vscode.Range(document.positionAt(start), document.positionAt(end))
+    ),
+  };
+}
+
+function hasCodePatterns(text) {
+  // Simple check for common code patterns
+  return (
+    /function|const|let|var|import|export|if|for|while|class|=>|return/i.test(
+      text
+    ) || /[{}[\]();=+\-*/%]/.test(text)
+  );
+}
+
+// Function to check if the code is generated by Copilot
+function isCopilotCode(text) {
+  // Look for common Copilot signatures
+  const copilotPatterns = [
+    "// Copilot suggestion",
+    "// Suggested by",
+    "// Generated by",
+    "// Via GitHub Copilot",
+    "<!-- GitHub Copilot",
+    "/* Copilot suggestion",
+    "// This code was suggested by",
+    "// Auto-generated",
+  ];
+
+  return copilotPatterns.some((pattern) => text.includes(pattern));
+}
+
+// A keystroke, an auto-closed pair, or Enter with the new line's indentation
+function isTypedText(text) {
+  return (
+    text.length > 0 &&
+    (text.length <= MAX_TYPED_LENGTH || /^\r?\n[ \t]*$/.test(text))
+  );
+}
+
+// Lines in a piece of inserted text. A trailing newline ends the last line
+// rather than starting another one.
+function countLines(text) {
+  const lines = text.split("\n").length;
+  return text.endsWith("\n") ? lines - 1 : lines;
+}
+
+// Pastes can only land in real files or untitled buffers
+function isTrackableDocument(document) {
+  return document.uri.scheme === "file" || document.uri.scheme === "untitled";
+}
+
+// Where a paste landed: language, workspace folder and file extension
+function getDocumentInfo(document) {
+  const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+  const extension =
+    document.uri.scheme === "untitled"
+      ? "(untitled)"
+      : path.extname(document.uri.fsPath).toLowerCase() || "(none)";
+
+  return {
+    languageId: document.languageId,
+    workspaceFolder: folder ? folder.name : "(no workspace)",
+    fileExtension: extension,
+  };
+}
+
+class PasteDetector {
+  constructor(context, log) {
+    this.context = context;
+    this.log = log;
+    this.mode = getDetectionMode();
+    this.pendingPaste = null;
+    this.pasteCommandDisposable = null;
+    this.pasteProviderDisposable = null;
+    this.pendingAssist = null;
+    this.assistCommandDisposables = new Map();
+
+    // State for the heuristic detection
+    this.lastEditTime = Date.now();
+    this.lastKeypressTime = Date.now();
+    this.lastPasteKeyCombination = false;
+
+    // Fired once for every detected paste
+    this.onDidPasteEmitter = new vscode.EventEmitter();
+    this.onDidPaste = this.onDidPasteEmitter.event;
+
+    // Fired for text typed by hand
+    this.onDidTypeEmitter = new vscode.EventEmitter();
+    this.onDidType = this.onDidTypeEmitter.event;
+
+    // Fired for accepted suggestions, completions and snippets
+    this.onDidAssistEmitter = new vscode.EventEmitter();
+    this.onDidAssist = this.onDidAssistEmitter.event;
+  }
+
+  // Start listening for document changes and apply the configured mode
+  initialize() {
+    this.changeListener = vscode.workspace.onDidChangeTextDocument((event) =>
+      this.handleDocumentChange(event)
+    );
+
+    this.configListener = vscode.workspace.onDidChangeConfiguration((e) => {
+      if (e.affectsConfiguration("copyjedi.detectionMode")) {
+        this.setMode(getDetectionMode());
+      }
+    });
+
+    this.context.subscriptions.push(
+      this.changeListener,
+      this.configListener,
+      this.onDidPasteEmitter,
+      this.onDidTypeEmitter,
+      this.onDidAssistEmitter
+    );
+
+    Object.keys(ASSIST_COMMANDS).forEach((command) =>
+      this.registerAssistCommand(command)
+    );
+    this.setMode(this.mode);
+  }
+
+  // Switch between "exact" and "heuristic" detection
+  setMode(mode) {
+    this.mode = mode;
+    this.pendingPaste = null;
+
+    if (mode === "exact") {
+      this.registerPasteCommand();
+      this.registerPasteProvider();
+    } else {
+      this.unregisterPasteHooks();
+    }
+
+    this.log(`Paste detection mode: ${mode}`);
+  }
+
+  // Take over the paste command so we know when a paste is about to happen
+  registerPasteCommand() {
+    if (this.pasteCommandDisposable) return;
+
+    this.pasteCommandDisposable = vscode.commands.registerCommand(
+      PASTE_COMMAND,
+      (args) => this.handlePasteCommand(args)
+    );
+  }
+
+  // Paste edit providers are only available in newer VS Code versions
+  registerPasteProvider() {
+    if (
+      this.pasteProviderDisposable ||
+      typeof vscode.languages.registerDocumentPasteEditProvider !== "function"
+    ) {
+      return;
+    }
+
+    // Older versions with paste providers don't know about edit kinds
+    const metadata = {
+      pasteMimeTypes: ["text/plain"],
+      providedPasteEditKinds: vscode.DocumentDropOrPasteEditKind
+        ? [vscode.DocumentDropOrPasteEditKind.Empty.append("copyjedi")]
+        : undefined,
+    };
+
+    try {
+      this.pasteProviderDisposable =
+        vscode.languages.registerDocumentPasteEditProvider(
+          [{ scheme: "file" }, { scheme: "untitled" }],
+          {
+            // We never change what gets pasted, we only note that it happened
+            provideDocumentPasteEdits: (document) => {
+              this.expectPaste(document, "pasteProvider");
+              return undefined;
+            },
+          },
+          metadata
+        );
+    } catch (error) {
+      this.log(`Paste edit provider unavailable: ${error.message}`);
+    }
+  }
+
+  unregisterPasteHooks() {
+    if (this.pasteCommandDisposable) {
+      this.pasteCommandDisposable.dispose();
+      this.pasteCommandDisposable = null;
+    }
+
+    if (this.pasteProviderDisposable) {
+      this.pasteProviderDisposable.dispose();
+      this.pasteProviderDisposable = null;
+    }
+  }
+
+  // Run the built-in paste with our wrapper temporarily removed
+  async handlePasteCommand(args) {
+    const editor = vscode.window.activeTextEditor;
+    if (editor) {
+      this.expectPaste(editor.document, "command");
+    }
+
+    // A second paste while this one runs finds the wrapper already removed
+    if (this.pasteCommandDisposable) {
+      this.pasteCommandDisposable.dispose();
+      this.pasteCommandDisposable = null;
+    }
+
+    try {
+      await vscode.commands.executeCommand(PASTE_COMMAND, args);
+    } finally {
+      if (!this.disposed && this.mode === "exact") {
+        this.registerPasteCommand();
+      }
+    }
+  }
+
+  // Take over a suggestion accept command, like the paste command
+  registerAssistCommand(command) {
+    if (this.assistCommandDisposables.has(command)) return;
+
+    this.assistCommandDisposables.set(
+      command,
+      vscode.commands.registerCommand(command, (...args) =>
+        this.handleAssistCommand(command, args)
+      )
+    );
+  }
+
+  async handleAssistCommand(command, args) {
+    const editor = vscode.window.activeTextEditor;
+    if (editor) {
+      this.pendingAssist = {
+        uri: editor.document.uri.toString(),
+        reason: ASSIST_COMMANDS[command],
+        expires: Date.now() + PENDING_PASTE_TIMEOUT_MS,
+      };
+    }
+
+    // A second accept while this one runs finds the wrapper already removed
+    const disposable = this.assistCommandDisposables.get(command);
+    if (disposable) {
+      disposable.dispose();
+      this.assistCommandDisposables.delete(command);
+    }
+
+    try {
+      await vscode.commands.executeCommand(command, ...args);
+    } finally {
+      if (!this.disposed) {
+        this.registerAssistCommand(command);
+      }
+    }
+  }
+
+  // Remember that the next change to this document is a paste
+  expectPaste(document, reason) {
+    // The provider and the command both fire for the same paste, keep the first
+    if (
+      this.pendingPaste &&
+      this.pendingPaste.uri === document.uri.toString() &&
+      Date.now() < this.pendingPaste.expires
+    ) {
+      return;
+    }
+
+    this.pendingPaste = {
+      uri: document.uri.toString(),
+      reason,
+      expires: Date.now() + PENDING_PASTE_TIMEOUT_MS,
+    };
+  }
+
+  handleDocumentChange(event) {
+    try {
+      if (event.contentChanges.length === 0) return;
+
+      if (this.detectAssistedInsertion(event)) return;
+
+      if (this.mode === "exact") {
+        if (this.detectExactPaste(event)) return;
+      } else {
+        this.detectHeuristicPaste(event);
+      }
+
+      this.detectTyping(event);
+    } catch (error) {
+      this.log(`Error in paste tracking: ${error.message}`);
+    }
+  }
+
+  // Returns true when the change was the paste we were waiting for
+  detectExactPaste(event) {
+    const pending = this.pendingPaste;
+    if (!pending || pending.uri !== event.document.uri.toString()) {
+      return false;
+    }
+
+    this.pendingPaste = null;
+    if (Date.now() > pending.expires) return false;
+    if (!isTrackableDocument(event.document)) return true;
+
+    if (!event.contentChanges.some((change) => change.text.length > 0)) {
+      return true;
+    }
+
+    this.firePaste(event.document, event.contentChanges, pending.reason);
+    return true;
+  }
+
+  // Returns true when the change came from an accepted suggestion
+  detectAssistedInsertion(event) {
+    const pending = this.pendingAssist;
+    if (!pending || pending.uri !== event.document.uri.toString()) {
+      return false;
+    }
+
+    this.pendingAssist = null;
+    if (Date.now() > pending.expires) return false;
+
+    if (
+      isTrackableDocument(event.document) &&
+      event.contentChanges.some((change) => change.text.length > 0)
+    ) {
+      this.fireInsertion(
+        this.onDidAssistEmitter,
+        event.document,
+        event.contentChanges,
+        pending.reason
+      );
+    }
+    return true;
+  }
+
+  // Small single-cursor insertions are typing. Multi-cursor edits and
+  // undo/redo (which newer VS Code versions mark with a reason) are not.
+  detectTyping(event) {
+    if (event.contentChanges.length !== 1 || event.reason) return;
+    if (!isTrackableDocument(event.document)) return;
+
+    const { text } = event.contentChanges[0];
+    if (!isTypedText(text)) return;
+
+    this.onDidTypeEmitter.fire({
+      document: event.document,
+      chars: text.length,
+      lines: text.split("\n").length - 1,
+    });
+  }
+
+  detectHeuristicPaste(event) {
+    this.trackKeyboard(event);
+
+    // Only proceed if we have an active text editor
+    const activeEditor = vscode.window.activeTextEditor;
+    if (!activeEditor) {
+      return;
+    }
+
+    // Only process events from the active editor
+    if (
+      event.document.uri.toString() !== activeEditor.document.uri.toString()
+    ) {
+      return;
+    }
+
+    // Only track changes in actual editor documents, not output/debug/etc.
+    const doc = event.document;
+    if (!this.isEditableDocument(doc)) {
+      return;
+    }
+
+    // Check if this document is an actual code file
+    if (!hasCodePatterns(doc.getText().substring(0, 1000))) {
+      this.log("Document doesn't contain code patterns, skipping");
+      return;
+    }
+
+    // Throttle updates (don't process if less than 300ms since last edit)
+    const now = Date.now();
+    if (now - this.lastEditTime < 300) {
+      return;
+    }
+    this.lastEditTime = now;
+
+    // Only log document changes when debugging is enabled
+    const config = vscode.workspace.getConfiguration("copyjedi");
+    const debugMode = config.get("debugMode") || false;
+
+    if (debugMode) {
+      this.log(`Document changed: ${doc.uri.toString()}`);
+      this.log(`Change count: ${event.contentChanges.length}`);
+    }
+
+    // The clipboard is read asynchronously, so keep hold of the changes and
+    // of where they landed before the document can change again
+    const insertions = new Map(
+      event.contentChanges.map((change) => [
+        change,
+        getInsertion(doc, [change]),
+      ])
+    );
+    vscode.env.clipboard
+      .readText()
+      .then((clipboard) => {
+        for (const [change, insertion] of insertions) {
+          // Skip very small changes (likely not pastes)
+          if (change.text.length < 5 && !change.text.includes("\n")) {
+            continue;
+          }
+
+          // Only log changes in debug mode to avoid console spam
+          if (debugMode) {
+            const previewText = change.text
+              .substring(0, 20)
+              .replace(/\n/g, "\\n");
+            this.log(
+              `Change detected - length: ${change.text.length}, preview: "${previewText}..."`
+            );
+          }
+
+          // Code with AI marker comments is an assisted insertion
+          if (isCopilotCode(change.text)) {
+            this.log("Copilot generated code recorded as assisted insertion");
+            this.fireInsertion(
+              this.onDidAssistEmitter,
+              doc,
+              [change],
+              "marker",
+              insertion
+            );
+            break;
+          }
+
+          // Check if this is actually a paste event using our detection
+          const detectedPaste = this.isProbablyPaste(change, clipboard);
+
+          const keyboardPaste =
+            this.lastPasteKeyCombination &&
+            (change.text.length > 10 || change.text.includes("\n"));
+
+          if (detectedPaste || keyboardPaste) {
+            // Reset keyboard detection
+            this.lastPasteKeyCombination = false;
+
+            this.firePaste(
+              doc,
+              [change],
+              detectedPaste ? "heuristic" : "keyboard",
+              insertion
+            );
+
+            // Break out of the loop to avoid multiple counts for complex pastes
+            break;
+          }
+        }
+      })
+      // A failed clipboard read or a listener error would go unhandled otherwise
+      .then(undefined, (error) =>
+        this.log(`Error checking for a paste: ${error.message}`)
+      );
+  }
+
+  // Look for a "v" typed right after another key, which is likely Ctrl+V
+  trackKeyboard(event) {
+    const change = event.contentChanges[0];
+    if (change.text === "v") {
+      const now = Date.now();
+      if (now - this.lastKeypressTime < 300) {
+        this.lastPasteKeyCombination = true;
+        this.log("Potential paste operation detected");
+        // Reset after a short delay
+        setTimeout(() => {
+          this.lastPasteKeyCombination = false;
+        }, 500);
+      }
+    }
+
+    this.lastKeypressTime = Date.now();
+  }
+
+  isProbablyPaste(change, clipboard) {
+    // Don't count as paste if empty or tiny content
+    if (!change.text || change.text.length < 5) return false;
+
+    // Check for clipboard match (strong indicator of paste)
+    const clipboardMatch =
+      clipboard && change.text.includes(clipboard.substring(0, 20));
+
+    // Check for large text insertions, which are likely pastes
+    const isLargeInsertion = change.text.length > 50;
+
+    // Check for multi-line content, which is often pasted
+    const isMultiLine = change.text.split("\n").length > 2;
+
+    // Check if the edit replaced a chunk of text (not character-by-character typing)
+    const isBulkChange =
+      change.range &&
+      Math.abs(change.range.end.character - change.range.start.character) >
+        10;
+
+    // True paste signature: clipboard match OR (large insertion AND either multi-line OR bulk change)
+    const result =
+      clipboardMatch || (isLargeInsertion && (isMultiLine || isBulkChange));
+
+    if (result) {
+      this.log("Paste detected with confidence");
+    }
+
+    return result;
+  }
+
+  // Helper to determine if a document is an actual editable file
+  isEditableDocument(document) {
+    try {
+      // Ignore output/debug/SCM/etc panels
+      if (!isTrackableDocument(document)) {
+        return false;
+      }
+
+      // Skip if the path includes terms related to extension output or debugging
+      const uriString = document.uri.toString().toLowerCase();
+      if (
+        uriString.includes("extension-output") ||
+        uriString.includes("debug-console") ||
+        uriString.includes("output-channel") ||
+        uriString.includes("extension-editor")
+      ) {
+        return false;
+      }
+
+      // Document types that produce too many false positives
+      const nonEditableTypes = [
+        "log",
+        "output",
+        "scm",
+        "debug",
+        "terminal",
+        "plaintext",
+        "markdown",
+        "json",
+        "jsonc",
+        "git-commit",
+        "git-rebase",
+        "search-result",
+        "diff",
+        "shellscript",
+        "console",
+      ];
+
+      return !nonEditableTypes.includes(document.languageId);
+    } catch (error) {
+      this.log(`Error in isEditableDocument: ${error.message}`);
+      return false;
+    }
+  }
+
+  firePaste(document, contentChanges, reason, insertion) {
+    this.fireInsertion(
+      this.onDidPasteEmitter,
+      document,
+      contentChanges,
+      reason,
+      insertion
+    );
+  }
+
+  // Report the text inserted by a paste or an accepted suggestion
+  fireInsertion(
+    emitter,
+    document,
+    contentChanges,
+    reason,
+    insertion = getInsertion(document, contentChanges)
+  ) {
+    const changes = contentChanges.filter((change) => change.text.length > 0);
+    const text = changes.map((change) => change.text).join("\n");
+    const lineCount = changes.reduce(
+      (total, change) => total + countLines(change.text),
+      0
+    );
+
+    emitter.fire({
+      document,
+      ...insertion,
+      text,
+      lineCount,
+      reason,
+      ...getDocumentInfo(document),
+    });
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.unregisterPasteHooks();
+
+    for (const disposable of this.assistCommandDisposables.values()) {
+      disposable.dispose();
+    }
+    this.assistCommandDisposables.clear();
+  }
+}
+
+module.exports = PasteDetector;
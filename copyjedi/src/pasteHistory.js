@@ -0,0 +1,446 @@
+// Append-only history of paste events
+//
+// Every paste is written as one JSON line to paste-history.jsonl in the
+// extension's global storage. Nothing is ever rewritten or deleted; totals,
+// breakdowns and the daily/weekly/monthly roll-ups are all computed from it.
+// A paste the user marks as "not a paste" gets a retraction line that drops
+// it from everything computed here. Retention lines record how much of a
+// paste was still unchanged at each checkpoint, and typed lines hold the
+// characters and lines typed by hand since the previous one. Accepted
+// suggestions, completions and snippets are kept apart as assisted lines.
+
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { addPasteToBreakdowns, ensureBreakdowns } = require("./breakdown");
+const { withFileLock } = require("./fileStore");
+
+const HISTORY_FILE = "paste-history.jsonl";
+
+// A paste counts as kept when at least this much of it is left unchanged
+const KEPT_THRESHOLD = 0.9;
+// Later checkpoints say more about what happened to a paste
+const CHECKPOINT_ORDER = ["save", "1h", "1d"];
+
+function pad(number) {
+  return String(number).padStart(2, "0");
+}
+
+// Local calendar day, e.g. 2025-05-14
+function dayKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+// UTC calendar day, the days the leaderboard server counts in
+function utcDayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Weeks are keyed by the day their Monday falls on
+function weekKey(date) {
+  const monday = new Date(date);
+  monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return dayKey(monday);
+}
+
+// Local calendar month, e.g. 2025-05
+function monthKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+}
+
+const PERIODS = {
+  day: { keyFor: dayKey, label: "Daily" },
+  utcDay: { keyFor: utcDayKey, label: "Daily (UTC, as on the leaderboard)" },
+  week: { keyFor: weekKey, label: "Weekly" },
+  month: { keyFor: monthKey, label: "Monthly" },
+};
+
+// Share of all characters written that came from pastes, 0 to 1
+function pasteRatio(pastedChars, typedChars) {
+  const total = pastedChars + typedChars;
+  return total > 0 ? pastedChars / total : 0;
+}
+
+function newBucket(period) {
+  return {
+    period,
+    pastes: 0,
+    lines: 0,
+    keptPastes: 0,
+    adaptedPastes: 0,
+    pastedChars: 0,
+    typedChars: 0,
+    typedLines: 0,
+    assistedInsertions: 0,
+    assistedLines: 0,
+  };
+}
+
+class PasteHistory {
+  constructor(storagePath, log) {
+    this.filePath = path.join(storagePath, HISTORY_FILE);
+    this.log = log;
+    this.events = [];
+    // Retained share per paste id and checkpoint
+    this.retention = new Map();
+    // Typing totals, one entry per flush
+    this.typed = [];
+    // Insertions from suggestions, completions and snippets
+    this.assisted = [];
+    // Byte offset up to which the file has been read
+    this.readOffset = 0;
+  }
+
+  // Midnight today in local time
+  static startOfToday() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  }
+
+  // Local calendar day key, as used by the daily roll-up
+  static dayKey(date) {
+    return dayKey(date);
+  }
+
+  // Read the whole history from disk
+  load() {
+    this.events = [];
+    this.retention = new Map();
+    this.typed = [];
+    this.assisted = [];
+    this.readOffset = 0;
+    this.readNewEvents();
+    this.log(`Loaded ${this.events.length} paste events from history`);
+  }
+
+  // Read any lines appended since the last read
+  readNewEvents() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const size = fs.statSync(this.filePath).size;
+    if (size < this.readOffset) {
+      // The file was replaced, start over
+      this.events = [];
+      this.retention = new Map();
+      this.typed = [];
+      this.assisted = [];
+      this.readOffset = 0;
+    }
+    if (size === this.readOffset) return;
+
+    const buffer = Buffer.alloc(size - this.readOffset);
+    const fd = fs.openSync(this.filePath, "r");
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, this.readOffset);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Leave a partially written last line for the next read
+    const end = buffer.lastIndexOf("\n");
+    if (end === -1) return;
+    this.readOffset += end + 1;
+
+    for (const line of buffer.toString("utf8", 0, end).split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.type === "retraction") {
+          this.events = this.events.filter((event) => event.id !== entry.id);
+        } else if (entry.type === "retention") {
+          const measured = this.retention.get(entry.pasteId) || {};
+          measured[entry.checkpoint] = entry.retained;
+          this.retention.set(entry.pasteId, measured);
+        } else if (entry.type === "typed") {
+          this.typed.push(entry);
+        } else if (entry.type === "assisted") {
+          this.assisted.push(entry);
+        } else {
+          this.events.push(entry);
+        }
+      } catch (parseError) {
+        this.log(`Skipping invalid history line: ${parseError.message}`);
+      }
+    }
+  }
+
+  // The history event for a paste reported by the PasteDetector, with its
+  // id ready before it is written
+  createEvent(paste) {
+    return {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      languageId: paste.languageId,
+      workspaceFolder: paste.workspaceFolder,
+      fileExtension: paste.fileExtension,
+      lineCount: paste.lineCount,
+      charCount: paste.text.length,
+      reason: paste.reason,
+      // Where the paste landed, so it can be found again later
+      uri: paste.document.uri.toString(),
+      ranges: paste.ranges.map((range) => [
+        range.start.line,
+        range.start.character,
+        range.end.line,
+        range.end.character,
+      ]),
+      preview: paste.text.substring(0, 80),
+    };
+  }
+
+  // Add a paste event from createEvent to the history
+  async append(event) {
+    await this.writeLine(event);
+  }
+
+  // Drop a paste from the history, e.g. when it wasn't really a paste
+  async retract(id) {
+    await this.writeLine({
+      type: "retraction",
+      id,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // Record how much of a paste was left unchanged at a checkpoint
+  async recordRetention({ pasteId, checkpoint, retained }) {
+    await this.writeLine({
+      type: "retention",
+      pasteId,
+      checkpoint,
+      retained: Math.round(retained * 1000) / 1000,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // Record characters and lines typed by hand since the last call
+  async recordTyped({ chars, lines }) {
+    await this.writeLine({
+      type: "typed",
+      timestamp: new Date().toISOString(),
+      chars,
+      lines,
+    });
+  }
+
+  // Record text inserted by an accepted suggestion, completion or snippet
+  async recordAssisted(insertion) {
+    await this.writeLine({
+      type: "assisted",
+      timestamp: new Date().toISOString(),
+      languageId: insertion.languageId,
+      fileExtension: insertion.fileExtension,
+      lineCount: insertion.lineCount,
+      charCount: insertion.text.length,
+      reason: insertion.reason,
+    });
+  }
+
+  // Retained share at the latest checkpoint measured for a paste, if any
+  getRetention(pasteId) {
+    const measured = this.retention.get(pasteId);
+    if (!measured) return undefined;
+
+    const latest = CHECKPOINT_ORDER.filter(
+      (checkpoint) => measured[checkpoint] !== undefined
+    ).pop();
+    return measured[latest];
+  }
+
+  // Other windows append to the same file, so lines are written while
+  // holding its lock
+  async writeLine(entry) {
+    await withFileLock(this.filePath, () => {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + "\n", "utf8");
+    });
+    this.readNewEvents();
+  }
+
+  // Events at or after the given time (milliseconds since epoch)
+  getEvents(since = 0) {
+    return this.events.filter(
+      (event) => new Date(event.timestamp).getTime() >= since
+    );
+  }
+
+  // Typing entries at or after the given time
+  getTyped(since = 0) {
+    return this.typed.filter(
+      (entry) => new Date(entry.timestamp).getTime() >= since
+    );
+  }
+
+  // Assisted insertions at or after the given time
+  getAssisted(since = 0) {
+    return this.assisted.filter(
+      (entry) => new Date(entry.timestamp).getTime() >= since
+    );
+  }
+
+  // Totals and breakdowns for all events since the given time
+  summarize(since = 0) {
+    const summary = ensureBreakdowns({
+      totalPastes: 0,
+      totalLinesPasted: 0,
+      totalCharsPasted: 0,
+      // Pastes left (nearly) as they were vs. pastes that were reworked
+      keptPastes: 0,
+      adaptedPastes: 0,
+      typedChars: 0,
+      typedLines: 0,
+      pasteRatio: 0,
+      // Not pastes, counted on their own
+      assistedInsertions: 0,
+      assistedLines: 0,
+      assistedChars: 0,
+    });
+
+    for (const event of this.getEvents(since)) {
+      // Entries carried over from the old stats file stand for several pastes
+      const pastes = event.pastes || 1;
+      summary.totalPastes += pastes;
+      summary.totalLinesPasted += event.lineCount;
+      summary.totalCharsPasted += event.charCount || 0;
+      addPasteToBreakdowns(summary, event);
+
+      const retained = this.getRetention(event.id);
+      if (retained !== undefined) {
+        if (retained >= KEPT_THRESHOLD) {
+          summary.keptPastes++;
+        } else {
+          summary.adaptedPastes++;
+        }
+      }
+    }
+
+    for (const entry of this.getTyped(since)) {
+      summary.typedChars += entry.chars;
+      summary.typedLines += entry.lines;
+    }
+    for (const entry of this.getAssisted(since)) {
+      summary.assistedInsertions++;
+      summary.assistedLines += entry.lineCount;
+      summary.assistedChars += entry.charCount;
+    }
+
+    summary.pasteRatio = pasteRatio(
+      summary.totalCharsPasted,
+      summary.typedChars
+    );
+
+    return summary;
+  }
+
+  // Totals rolled up per day (local or UTC), week or month, oldest first. Kept and adapted
+  // pastes are counted in the period they were pasted in.
+  aggregate(period, since = 0) {
+    const { keyFor } = PERIODS[period];
+    const buckets = new Map();
+    const bucketFor = (timestamp) => {
+      const key = keyFor(new Date(timestamp));
+      if (!buckets.has(key)) {
+        buckets.set(key, newBucket(key));
+      }
+      return buckets.get(key);
+    };
+
+    for (const event of this.getEvents(since)) {
+      const bucket = bucketFor(event.timestamp);
+      bucket.pastes += event.pastes || 1;
+      bucket.lines += event.lineCount;
+      bucket.pastedChars += event.charCount || 0;
+
+      const retained = this.getRetention(event.id);
+      if (retained !== undefined) {
+        if (retained >= KEPT_THRESHOLD) {
+          bucket.keptPastes++;
+        } else {
+          bucket.adaptedPastes++;
+        }
+      }
+    }
+
+    for (const entry of this.getTyped(since)) {
+      const bucket = bucketFor(entry.timestamp);
+      bucket.typedChars += entry.chars;
+      bucket.typedLines += entry.lines;
+    }
+
+    for (const entry of this.getAssisted(since)) {
+      const bucket = bucketFor(entry.timestamp);
+      bucket.assistedInsertions++;
+      bucket.assistedLines += entry.lineCount;
+    }
+
+    return [...buckets.values()].sort((a, b) =>
+      a.period.localeCompare(b.period)
+    );
+  }
+
+  // Keep today's totals from a stats file written before the history existed
+  async migrateDailyStats(savedStats) {
+    if (!savedStats.totalPastes) return;
+    if (savedStats.date !== new Date().toDateString()) return;
+
+    const event = {
+      id: crypto.randomUUID(),
+      timestamp: new Date(PasteHistory.startOfToday()).toISOString(),
+      languageId: "unknown",
+      workspaceFolder: "(no workspace)",
+      fileExtension: "(none)",
+      pastes: savedStats.totalPastes,
+      lineCount: savedStats.totalLinesPasted || 0,
+      charCount: 0,
+      reason: "migrated",
+    };
+
+    // Another window may have migrated them already
+    const migrated = await withFileLock(this.filePath, () => {
+      this.readNewEvents();
+      if (this.events.length > 0) return false;
+
+      fs.appendFileSync(this.filePath, JSON.stringify(event) + "\n", "utf8");
+      return true;
+    });
+
+    this.readNewEvents();
+    if (migrated) {
+      this.log(`Migrated ${savedStats.totalPastes} pastes from stats file`);
+    }
+  }
+
+  // Let the user pick a period and list the roll-ups for it
+  async showHistory() {
+    const choice = await vscode.window.showQuickPick(
+      Object.entries(PERIODS).map(([period, { label }]) => ({
+        label,
+        period,
+      })),
+      { placeHolder: "Group paste history by" }
+    );
+    if (!choice) return;
+
+    const rows = this.aggregate(choice.period).reverse();
+    if (rows.length === 0) {
+      vscode.window.showInformationMessage("CopyJedi: No paste history yet");
+      return;
+    }
+
+    await vscode.window.showQuickPick(
+      rows.map((row) => ({
+        label: row.period,
+        description: `${row.pastes} paste${row.pastes !== 1 ? "s" : ""}, ${
+          row.lines
+        } line${row.lines !== 1 ? "s" : ""}, ${Math.round(
+          pasteRatio(row.pastedChars, row.typedChars) * 100
+        )}% pasted`,
+      })),
+      { title: `CopyJedi: ${choice.label} Paste History` }
+    );
+  }
+}
+
+module.exports = PasteHistory;
@@ -0,0 +1,127 @@
+// Activity Bar tree view of today's paste events, grouped by file
+
+const vscode = require("vscode");
+const path = require("path");
+const PasteHistory = require("./pasteHistory");
+
+const UNKNOWN_FILE = "(unknown file)";
+
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  return `${String(date.getHours()).padStart(2, "0")}:${String(
+    date.getMinutes()
+  ).padStart(2, "0")}`;
+}
+
+// Ranges are stored as [startLine, startCharacter, endLine, endCharacter]
+function toRanges(event) {
+  return (event.ranges || []).map(
+    ([startLine, startCharacter, endLine, endCharacter]) =>
+      new vscode.Range(startLine, startCharacter, endLine, endCharacter)
+  );
+}
+
+class PasteTreeProvider {
+  constructor(pasteHistory) {
+    this.pasteHistory = pasteHistory;
+    this.onDidChangeTreeDataEmitter = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this.onDidChangeTreeDataEmitter.event;
+  }
+
+  refresh() {
+    this.onDidChangeTreeDataEmitter.fire();
+  }
+
+  // Files at the top level, their paste events underneath
+  getChildren(element) {
+    const events = this.pasteHistory.getEvents(PasteHistory.startOfToday());
+
+    if (!element) {
+      const files = new Map();
+      for (const event of events) {
+        const uri = event.uri || UNKNOWN_FILE;
+        files.set(uri, (files.get(uri) || 0) + 1);
+      }
+      return [...files.entries()].map(([uri, count]) => ({
+        kind: "file",
+        uri,
+        count,
+      }));
+    }
+
+    if (element.kind === "file") {
+      return events
+        .filter((event) => (event.uri || UNKNOWN_FILE) === element.uri)
+        .reverse()
+        .map((event) => ({ kind: "paste", event }));
+    }
+
+    return [];
+  }
+
+  getTreeItem(element) {
+    if (element.kind === "file") {
+      const known = element.uri !== UNKNOWN_FILE;
+      const uri = known ? vscode.Uri.parse(element.uri) : undefined;
+      const item = new vscode.TreeItem(
+        known ? path.basename(uri.path) : UNKNOWN_FILE,
+        vscode.TreeItemCollapsibleState.Expanded
+      );
+      item.resourceUri = uri;
+      item.description = `${element.count} paste${
+        element.count !== 1 ? "s" : ""
+      }`;
+      item.tooltip = known ? element.uri : undefined;
+      return item;
+    }
+
+    const { event } = element;
+    const lines = event.lineCount;
+    const item = new vscode.TreeItem(
+      `${formatTime(event.timestamp)} · ${lines} line${lines !== 1 ? "s" : ""}`,
+      vscode.TreeItemCollapsibleState.None
+    );
+    item.description = (event.preview || "").replace(/\s+/g, " ").trim();
+    item.tooltip = `${event.preview || ""}\n\nDetected by: ${event.reason}`;
+    item.contextValue = "pasteEvent";
+    item.iconPath = new vscode.ThemeIcon("clippy");
+
+    if (event.uri) {
+      item.command = {
+        command: "copyjedi.revealPaste",
+        title: "Go to Paste",
+        arguments: [element],
+      };
+    }
+
+    return item;
+  }
+
+  // Open the document and select what was pasted
+  async revealPaste(element) {
+    const { event } = element;
+    if (!event || !event.uri) return;
+
+    const document = await vscode.workspace.openTextDocument(
+      vscode.Uri.parse(event.uri)
+    );
+    const editor = await vscode.window.showTextDocument(document);
+
+    // The document may have changed since, keep the ranges inside it
+    const ranges = toRanges(event).map((range) =>
+      document.validateRange(range)
+    );
+    if (ranges.length === 0) return;
+
+    editor.selections = ranges.map(
+      (range) => new vscode.Selection(range.start, range.end)
+    );
+    editor.revealRange(ranges[0], vscode.TextEditorRevealType.InCenter);
+  }
+
+  dispose() {
+    this.onDidChangeTreeDataEmitter.dispose();
+  }
+}
+
+module.exports = PasteTreeProvider;
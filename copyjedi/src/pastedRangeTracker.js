@@ -0,0 +1,440 @@
+// Follows pasted blocks as the document is edited
+//
+// Each range inserted by a paste becomes a block stored as character offsets.
+// Edits before a block shift it, edits inside it grow or shrink it, and the
+// "intact" intervals record which of the originally pasted characters are
+// still untouched. Blocks are kept per file in workspace storage, and can be
+// highlighted in the editor with a hover saying how much has changed.
+//
+// The untouched share of each paste is measured at the first save of its
+// file, after an hour and after a day (the retention checkpoints). Blocks
+// are forgotten once the last of those has been measured.
+
+const vscode = require("vscode");
+const path = require("path");
+
+const STORAGE_KEY = "copyjedi.pastedRanges";
+const SAVE_DELAY_MS = 1000;
+const RETENTION_CHECK_MS = 60 * 1000;
+
+// Time-based retention checkpoints, measured this long after the paste
+const TIMED_CHECKPOINTS = [
+  { name: "1h", after: 60 * 60 * 1000 },
+  { name: "1d", after: 24 * 60 * 60 * 1000 },
+];
+
+// Map the offset interval [start, end) through a single content change.
+// Returns the pieces of the interval that were not replaced by the change.
+function splitInterval(start, end, change) {
+  const changeStart = change.rangeOffset;
+  const changeEnd = change.rangeOffset + change.rangeLength;
+  const delta = change.text.length - change.rangeLength;
+
+  if (end <= changeStart) return [[start, end]];
+  if (start >= changeEnd) return [[start + delta, end + delta]];
+
+  const pieces = [];
+  if (start < changeStart) pieces.push([start, changeStart]);
+  if (end > changeEnd) pieces.push([changeEnd + delta, end + delta]);
+  return pieces;
+}
+
+// Apply a content change to a block. Returns false once nothing is left of it.
+function applyChange(block, change) {
+  const changeStart = change.rangeOffset;
+  const changeEnd = change.rangeOffset + change.rangeLength;
+  const delta = change.text.length - change.rangeLength;
+
+  block.intact = block.intact.flatMap(([start, end]) =>
+    splitInterval(start, end, change)
+  );
+
+  if (block.end <= changeStart) {
+    // Edit after the block (typing right after a paste doesn't extend it)
+  } else if (block.start >= changeEnd) {
+    // Edit before the block
+    block.start += delta;
+    block.end += delta;
+  } else if (block.start <= changeStart && block.end >= changeEnd) {
+    // Edit inside the block, the new text becomes part of it
+    block.end += delta;
+  } else if (block.start > changeStart && block.end >= changeEnd) {
+    // Edit replaced the beginning of the block
+    block.start = changeStart + change.text.length;
+    block.end += delta;
+  } else if (block.start <= changeStart) {
+    // Edit replaced the end of the block
+    block.end = changeStart;
+  } else {
+    // Edit replaced the whole block
+    return false;
+  }
+
+  return block.end > block.start;
+}
+
+// How many of the originally pasted characters are still untouched
+function intactLength(block) {
+  return block.intact.reduce((total, [start, end]) => total + end - start, 0);
+}
+
+function formatAge(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} minute${minutes !== 1 ? "s" : ""} ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours !== 1 ? "s" : ""} ago`;
+  const days = Math.round(hours / 24);
+  return `${days} day${days !== 1 ? "s" : ""} ago`;
+}
+
+class PastedRangeTracker {
+  constructor(context, log) {
+    this.context = context;
+    this.log = log;
+    // Blocks per document URI
+    this.blocks = new Map(
+      Object.entries(context.workspaceState.get(STORAGE_KEY, {})).map(
+        ([uri, blocks]) => [
+          uri,
+          blocks.map((block) => ({ checkpoints: [], ...block })),
+        ]
+      )
+    );
+    this.saveTimeout = null;
+    this.decorationType = null;
+    this.retentionInterval = null;
+
+    // Fired with { pasteId, checkpoint, retained } at each checkpoint
+    this.onDidMeasureRetentionEmitter = new vscode.EventEmitter();
+    this.onDidMeasureRetention = this.onDidMeasureRetentionEmitter.event;
+  }
+
+  initialize() {
+    this.context.subscriptions.push(
+      vscode.workspace.onDidChangeTextDocument((event) =>
+        this.handleDocumentChange(event)
+      ),
+      vscode.workspace.onDidOpenTextDocument((document) =>
+        this.validateBlocks(document)
+      ),
+      vscode.workspace.onDidCloseTextDocument((document) =>
+        this.resetVersions(document)
+      ),
+      vscode.workspace.onDidSaveTextDocument((document) =>
+        this.measureOnSave(document)
+      ),
+      vscode.window.onDidChangeVisibleTextEditors(() =>
+        this.updateDecorations()
+      ),
+      vscode.workspace.onDidChangeConfiguration((e) => {
+        if (e.affectsConfiguration("copyjedi.highlightPastedRanges")) {
+          this.updateDecorations();
+        }
+      }),
+      this.onDidMeasureRetentionEmitter
+    );
+
+    vscode.workspace.textDocuments.forEach((document) =>
+      this.validateBlocks(document)
+    );
+
+    // Catch up on checkpoints that passed while VS Code was closed, and
+    // forget blocks that older versions kept after their last checkpoint
+    this.measureTimedCheckpoints();
+    for (const uri of [...this.blocks.keys()]) {
+      this.pruneBlocks(uri);
+    }
+    this.blocksChanged();
+    this.retentionInterval = setInterval(
+      () => this.measureTimedCheckpoints(),
+      RETENTION_CHECK_MS
+    );
+  }
+
+  // Start following the ranges of a paste as it's detected. The offsets
+  // belong to the version the paste produced, so a paste reported after
+  // later edits (the heuristic reads the clipboard first) can't be followed.
+  addPaste(paste, event) {
+    const uri = paste.document.uri.toString();
+    if (paste.version !== paste.document.version) {
+      this.log(`Not following paste ${event.id}, the document changed since`);
+      return;
+    }
+    const blocks = this.blocks.get(uri) || [];
+
+    for (const [start, end] of paste.offsets) {
+      if (end <= start) continue;
+
+      blocks.push({
+        pasteId: event.id,
+        pastedAt: new Date(event.timestamp).getTime(),
+        start,
+        end,
+        originalLength: end - start,
+        intact: [[start, end]],
+        // Changes up to this version are already part of the offsets
+        version: paste.version,
+        // Retention checkpoints already measured
+        checkpoints: [],
+      });
+    }
+
+    this.blocks.set(uri, blocks);
+    this.blocksChanged();
+  }
+
+  // Stop following a paste, e.g. when it was marked as not a paste
+  removePaste(pasteId) {
+    for (const [uri, blocks] of this.blocks) {
+      const remaining = blocks.filter((block) => block.pasteId !== pasteId);
+      if (remaining.length !== blocks.length) {
+        this.setBlocks(uri, remaining);
+      }
+    }
+    this.blocksChanged();
+  }
+
+  handleDocumentChange(event) {
+    const uri = event.document.uri.toString();
+    const blocks = this.blocks.get(uri);
+    if (!blocks || event.contentChanges.length === 0) return;
+
+    // Apply the last change first so earlier offsets stay valid
+    const changes = [...event.contentChanges].sort(
+      (a, b) => b.rangeOffset - a.rangeOffset
+    );
+
+    for (const block of blocks) {
+      if (block.removed || block.version >= event.document.version) continue;
+
+      // A block that was deleted entirely is kept, with nothing intact,
+      // until its retention checkpoints have been measured
+      if (!changes.every((change) => applyChange(block, change))) {
+        block.removed = true;
+        block.intact = [];
+      }
+    }
+
+    this.pruneBlocks(uri);
+    this.blocksChanged();
+  }
+
+  // Share of each paste's original characters that are still untouched
+  measureRetention(pasteId) {
+    let original = 0;
+    let intact = 0;
+
+    for (const blocks of this.blocks.values()) {
+      for (const block of blocks) {
+        if (block.pasteId !== pasteId) continue;
+        original += block.originalLength;
+        intact += intactLength(block);
+      }
+    }
+
+    return original > 0 ? intact / original : 0;
+  }
+
+  // Measure a checkpoint for every paste whose blocks match the filter
+  measureCheckpoint(checkpoint, shouldMeasure) {
+    const measured = new Set();
+
+    for (const blocks of this.blocks.values()) {
+      for (const block of blocks) {
+        if (block.checkpoints.includes(checkpoint)) continue;
+        if (!shouldMeasure(block)) continue;
+        measured.add(block.pasteId);
+      }
+    }
+
+    if (measured.size === 0) return;
+
+    for (const pasteId of measured) {
+      const retained = this.measureRetention(pasteId);
+      for (const blocks of this.blocks.values()) {
+        blocks
+          .filter((block) => block.pasteId === pasteId)
+          .forEach((block) => block.checkpoints.push(checkpoint));
+      }
+      this.onDidMeasureRetentionEmitter.fire({ pasteId, checkpoint, retained });
+    }
+
+    for (const uri of [...this.blocks.keys()]) {
+      this.pruneBlocks(uri);
+    }
+    this.scheduleSave();
+  }
+
+  // The first save of a file after a paste
+  measureOnSave(document) {
+    const uri = document.uri.toString();
+    if (!this.blocks.has(uri)) return;
+
+    this.measureCheckpoint(
+      "save",
+      (block) => (this.blocks.get(uri) || []).includes(block)
+    );
+  }
+
+  measureTimedCheckpoints() {
+    const now = Date.now();
+    for (const { name, after } of TIMED_CHECKPOINTS) {
+      this.measureCheckpoint(name, (block) => now - block.pastedAt >= after);
+    }
+  }
+
+  // Forget blocks once every timed checkpoint has been measured, so the
+  // stored blocks and the work per edit don't grow with every paste ever
+  // made. Highlights last until then.
+  pruneBlocks(uri) {
+    const blocks = this.blocks.get(uri) || [];
+    this.setBlocks(
+      uri,
+      blocks.filter(
+        (block) =>
+          !TIMED_CHECKPOINTS.every(({ name }) =>
+            block.checkpoints.includes(name)
+          )
+      )
+    );
+  }
+
+  // The file may have changed while it was closed, drop blocks that no
+  // longer fit in it
+  validateBlocks(document) {
+    const uri = document.uri.toString();
+    const blocks = this.blocks.get(uri);
+    if (!blocks) return;
+
+    const length = document.getText().length;
+    const valid = blocks.filter(
+      (block) => block.removed || block.end <= length
+    );
+    if (valid.length !== blocks.length) {
+      this.log(
+        `Dropped ${blocks.length - valid.length} pasted range(s) that no longer fit ${uri}`
+      );
+      this.setBlocks(uri, valid);
+      this.blocksChanged();
+    }
+  }
+
+  // Versions start again when a document is reopened
+  resetVersions(document) {
+    for (const block of this.blocks.get(document.uri.toString()) || []) {
+      block.version = -1;
+    }
+  }
+
+  setBlocks(uri, blocks) {
+    if (blocks.length > 0) {
+      this.blocks.set(uri, blocks);
+    } else {
+      this.blocks.delete(uri);
+    }
+  }
+
+  blocksChanged() {
+    this.scheduleSave();
+    this.updateDecorations();
+  }
+
+  // Write the blocks to workspace storage, at most once a second
+  scheduleSave() {
+    if (this.saveTimeout) return;
+
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+  }
+
+  save() {
+    const stored = {};
+    for (const [uri, blocks] of this.blocks) {
+      // Document versions start again after a restart
+      stored[uri] = blocks.map((block) => ({ ...block, version: -1 }));
+    }
+
+    this.context.workspaceState
+      .update(STORAGE_KEY, stored)
+      .then(undefined, (error) =>
+        this.log(`Error saving pasted ranges: ${error.message}`)
+      );
+  }
+
+  getDecorationType() {
+    if (!this.decorationType) {
+      this.decorationType = vscode.window.createTextEditorDecorationType({
+        backgroundColor: new vscode.ThemeColor("copyjedi.pastedBackground"),
+        overviewRulerColor: new vscode.ThemeColor("copyjedi.pastedBackground"),
+        overviewRulerLane: vscode.OverviewRulerLane.Left,
+        gutterIconPath: this.context.asAbsolutePath(
+          path.join("resources", "pasted-gutter.svg")
+        ),
+        gutterIconSize: "contain",
+      });
+    }
+    return this.decorationType;
+  }
+
+  // Highlight pasted blocks in the visible editors when enabled in settings
+  updateDecorations() {
+    const config = vscode.workspace.getConfiguration("copyjedi");
+    const enabled = config.get("highlightPastedRanges") || false;
+
+    if (!enabled) {
+      if (this.decorationType) {
+        this.decorationType.dispose();
+        this.decorationType = null;
+      }
+      return;
+    }
+
+    const decorationType = this.getDecorationType();
+    for (const editor of vscode.window.visibleTextEditors) {
+      const document = editor.document;
+      const decorations = (this.blocks.get(document.uri.toString()) || [])
+        .filter((block) => !block.removed)
+        .map((block) => {
+          const changed = Math.round(
+            (1 - intactLength(block) / block.originalLength) * 100
+          );
+          const hover = new vscode.MarkdownString(
+            `**CopyJedi:** pasted ${formatAge(block.pastedAt)} (${new Date(
+              block.pastedAt
+            ).toLocaleString()}), ${changed}% changed since`
+          );
+
+          return {
+            range: new vscode.Range(
+              document.positionAt(block.start),
+              document.positionAt(block.end)
+            ),
+            hoverMessage: hover,
+          };
+        });
+      editor.setDecorations(decorationType, decorations);
+    }
+  }
+
+  dispose() {
+    clearInterval(this.retentionInterval);
+
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+      this.save();
+    }
+
+    if (this.decorationType) {
+      this.decorationType.dispose();
+    }
+  }
+}
+
+module.exports = PastedRangeTracker;
+// For testing
+module.exports.splitInterval = splitInterval;
+module.exports.applyChange = applyChange;
@@ -0,0 +1,106 @@
+// What is shared with the leaderboard, and asking the user about it
+//
+// "off" sends nothing, "anonymous" sends the paste and typing totals only,
+// and "full" adds the profile: leaderboard name, device names, OS and VS
+// Code version. Nothing is sent while VS Code telemetry is turned off.
+
+const vscode = require("vscode");
+
+const SHARING_LEVELS = ["off", "anonymous", "full"];
+
+// globalState key, set once the user has answered the consent prompt
+const CONSENT_KEY = "copyjedi.sharingConsentAsked";
+
+const CONSENT_CHOICES = [
+  { title: "Share Totals Only", level: "anonymous" },
+  { title: "Share Full Profile", level: "full" },
+  { title: "Don't Share", level: "off" },
+];
+
+// The sharing level in effect right now
+function getSharingLevel() {
+  if (!vscode.env.isTelemetryEnabled) return "off";
+
+  const level = vscode.workspace
+    .getConfiguration("copyjedi")
+    .get("sharingLevel", "off");
+  return SHARING_LEVELS.includes(level) ? level : "off";
+}
+
+function isSharingEnabled() {
+  return getSharingLevel() !== "off";
+}
+
+function setSharingLevel(level) {
+  return vscode.workspace
+    .getConfiguration("copyjedi")
+    .update("sharingLevel", level, vscode.ConfigurationTarget.Global);
+}
+
+// Calls listener whenever the sharing level may have changed
+function onDidChangeSharingLevel(listener) {
+  return vscode.Disposable.from(
+    vscode.workspace.onDidChangeConfiguration((e) => {
+      if (e.affectsConfiguration("copyjedi.sharingLevel")) listener();
+    }),
+    vscode.env.onDidChangeTelemetryEnabled(() => listener())
+  );
+}
+
+// Older versions had an on/off switch that shared everything
+async function migrateLeaderboardEnabled() {
+  const config = vscode.workspace.getConfiguration("copyjedi");
+  const enabled = config.inspect("leaderboardEnabled");
+  const level = config.inspect("sharingLevel");
+  if (!enabled || enabled.globalValue === undefined) return;
+
+  if (level.globalValue === undefined) {
+    await setSharingLevel(enabled.globalValue ? "full" : "off");
+  }
+  await config.update(
+    "leaderboardEnabled",
+    undefined,
+    vscode.ConfigurationTarget.Global
+  );
+}
+
+// Ask which level to share at, once on first run, or again when force is
+// set (e.g. the user asked to submit while sharing is off). Resolves with
+// the level in effect afterwards.
+async function askForConsent(context, { force = false } = {}) {
+  if (!vscode.env.isTelemetryEnabled) {
+    if (force) {
+      vscode.window.showInformationMessage(
+        "CopyJedi: VS Code telemetry is turned off, so nothing is shared with the leaderboard"
+      );
+    }
+    return "off";
+  }
+
+  const configured =
+    vscode.workspace.getConfiguration("copyjedi").inspect("sharingLevel")
+      .globalValue !== undefined;
+  if (!force && (configured || context.globalState.get(CONSENT_KEY))) {
+    return getSharingLevel();
+  }
+
+  const choice = await vscode.window.showInformationMessage(
+    "CopyJedi: Share your paste stats on the global leaderboard? Totals only keeps you anonymous, a full profile also shows your leaderboard name, device names, OS and VS Code version. You can change this later in the copyjedi.sharingLevel setting.",
+    { modal: force },
+    ...CONSENT_CHOICES
+  );
+  if (!choice) return getSharingLevel();
+
+  await context.globalState.update(CONSENT_KEY, true);
+  await setSharingLevel(choice.level);
+  return getSharingLevel();
+}
+
+module.exports = {
+  getSharingLevel,
+  isSharingEnabled,
+  setSharingLevel,
+  onDidChangeSharingLevel,
+  migrateLeaderboardEnabled,
+  askForConsent,
+};
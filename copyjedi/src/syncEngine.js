@@ -0,0 +1,433 @@
+// Sends paste statistics to the leaderboard server
+//
+// The server is sent deltas: how much each (UTC) day's totals went up (or
+// down, after a retraction) since the last sync. Each delta carries a random key
+// the server uses to skip ones it has already applied, so retries, replays
+// and several machines sending for the same user all add up correctly.
+//
+// Deltas go through one queue that is kept in sync-queue.json in global
+// storage, next to the totals already queued for each day, so nothing is
+// lost when VS Code reloads or the server is down. Failed submissions are
+// retried with exponential backoff and jitter. Nothing is sent while
+// sharing is off, queued deltas wait until it is turned back on.
+
+const vscode = require("vscode");
+const path = require("path");
+const crypto = require("crypto");
+const { withFileLock, writeFileAtomic, readJsonFile } = require("./fileStore");
+const { getSharingLevel, onDidChangeSharingLevel } = require("./privacy");
+
+const QUEUE_FILE = "sync-queue.json";
+const SUBMIT_PATH = "/api/v2/submit";
+const DELTA_FIELDS = [
+  "pastes",
+  "lines",
+  "keptPastes",
+  "adaptedPastes",
+  "pastedChars",
+  "typedChars",
+  "typedLines",
+];
+// The server takes up to 500 deltas per request, adding up to at most ten
+// days at its daily limits
+const MAX_BATCH_SIZE = 100;
+const MAX_BATCH_DAYS = 10;
+// The server only takes deltas for the last year of days
+const MAX_DELTA_AGE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// First sync after startup, so activation isn't slowed down by the network
+const INITIAL_SYNC_DELAY_MS = 30 * 1000;
+const MIN_SYNC_INTERVAL_MINUTES = 1;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Delay before the next attempt, doubling per failure. The random part keeps
+// windows and machines that failed together from retrying in lockstep.
+function backoffDelay(attempts) {
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+// Server responses worth trying again later; anything else in the 4xx range
+// will fail the same way every time. A rejected token can be fixed by the
+// user, so those deltas are kept too.
+function isRetryableStatus(status) {
+  return status === 401 || status === 408 || status === 429 || status >= 500;
+}
+
+// What changed in one day's totals, or null if nothing did
+function diffTotals(current, submitted = {}) {
+  const delta = {};
+  let changed = false;
+  for (const field of DELTA_FIELDS) {
+    delta[field] = (current[field] || 0) - (submitted[field] || 0);
+    changed = changed || delta[field] !== 0;
+  }
+  return changed ? delta : null;
+}
+
+// The next request's worth of queued entries: up to MAX_BATCH_SIZE of them,
+// for at most MAX_BATCH_DAYS different days. The rest wait for the next one.
+function takeBatch(entries) {
+  const days = new Set();
+  const batch = [];
+  for (const entry of entries) {
+    if (batch.length === MAX_BATCH_SIZE) break;
+    if (!days.has(entry.date)) {
+      if (days.size === MAX_BATCH_DAYS) continue;
+      days.add(entry.date);
+    }
+    batch.push(entry);
+  }
+  return batch;
+}
+
+class SyncEngine {
+  constructor(context, storagePath, leaderboardClient, getTotals, log) {
+    this.context = context;
+    this.filePath = path.join(storagePath, QUEUE_FILE);
+    this.leaderboardClient = leaderboardClient;
+    // Returns { userId, days } with each day's totals keyed by date
+    this.getTotals = getTotals;
+    this.log = log;
+    this.syncTimer = null;
+    this.initialSyncTimeout = null;
+    this.retryTimeout = null;
+    this.flushing = null;
+    this.lastSyncAt = 0;
+    this.lastError = null;
+
+    // Fired whenever the queue or the sync state changes
+    this.onDidChangeStateEmitter = new vscode.EventEmitter();
+    this.onDidChangeState = this.onDidChangeStateEmitter.event;
+  }
+
+  initialize() {
+    this.context.subscriptions.push(
+      vscode.workspace.onDidChangeConfiguration((e) => {
+        if (
+          e.affectsConfiguration("copyjedi.autoSync") ||
+          e.affectsConfiguration("copyjedi.syncInterval")
+        ) {
+          this.schedule();
+        }
+      }),
+      onDidChangeSharingLevel(() => {
+        this.schedule();
+        this.scheduleRetry();
+      }),
+      this.leaderboardClient.onDidReconnect(() => this.flush()),
+      this.onDidChangeStateEmitter
+    );
+
+    this.schedule();
+    this.scheduleRetry();
+  }
+
+  // Deltas waiting to be sent, oldest first
+  getQueue() {
+    return this.readState().entries;
+  }
+
+  // The queue and the per-day totals it already accounts for. Queues from
+  // before deltas held absolute totals, those are dropped.
+  readState() {
+    const state = readJsonFile(this.filePath);
+    if (!state || Array.isArray(state)) {
+      return { entries: [], submitted: null };
+    }
+    return state;
+  }
+
+  // (Re)start the periodic sync from the current settings
+  schedule() {
+    clearTimeout(this.initialSyncTimeout);
+    clearInterval(this.syncTimer);
+    this.initialSyncTimeout = null;
+    this.syncTimer = null;
+
+    const config = vscode.workspace.getConfiguration("copyjedi");
+    if (getSharingLevel() === "off" || !config.get("autoSync", true)) {
+      this.log("Automatic leaderboard sync is off");
+      return;
+    }
+
+    const minutes = Math.max(
+      MIN_SYNC_INTERVAL_MINUTES,
+      config.get("syncInterval", 5)
+    );
+    this.log(`Syncing to leaderboard every ${minutes} minute(s)`);
+
+    const runSync = () =>
+      this.sync().catch((error) =>
+        this.log(`Scheduled sync failed: ${error.message}`)
+      );
+    this.initialSyncTimeout = setTimeout(runSync, INITIAL_SYNC_DELAY_MS);
+    this.syncTimer = setInterval(runSync, minutes * 60 * 1000);
+  }
+
+  // Queue what changed since the last sync and send everything that is
+  // due. With interactive set, the outcome is shown to the user and queued
+  // deltas are sent even if their backoff hasn't run out.
+  async sync({ interactive = false } = {}) {
+    const { userId, days } = this.getTotals();
+    if (!userId) {
+      this.log("No user ID yet, skipping leaderboard sync");
+      return false;
+    }
+
+    await this.enqueue(days);
+    return this.flush({ interactive });
+  }
+
+  // Add a delta for every day whose totals changed since they were queued.
+  // Days are UTC dates, as the server counts them.
+  async enqueue(days) {
+    const legacy = this.leaderboardClient.hasLegacyUser();
+    const oldest = new Date(Date.now() - (MAX_DELTA_AGE_DAYS - 1) * DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+
+    await this.updateState((state) => {
+      if (!state.submitted && legacy) {
+        // The server already has the absolute totals an older version
+        // sent, so counting starts from here
+        this.log("Starting delta sync from the current totals");
+        state.submitted = days;
+        return;
+      }
+      if (!state.submitted) {
+        // Nothing was sent for this user yet, so the whole history goes
+        this.log("Queuing the paste history for the first sync");
+        state.submitted = {};
+      }
+
+      for (const [date, totals] of Object.entries(days)) {
+        if (date < oldest) continue;
+
+        const delta = diffTotals(totals, state.submitted[date]);
+        if (!delta) continue;
+
+        state.entries.push({
+          key: crypto.randomUUID(),
+          date,
+          delta,
+          queuedAt: Date.now(),
+          attempts: 0,
+          nextAttemptAt: 0,
+        });
+        state.submitted[date] = totals;
+      }
+    });
+  }
+
+  // Send the queued submissions whose retry time has come. Only one flush
+  // runs at a time in each window.
+  flush(options = {}) {
+    if (!this.flushing) {
+      this.flushing = this.sendQueued(options)
+        .catch((error) => {
+          this.log(`Error sending queued submissions: ${error.message}`);
+          return false;
+        })
+        .finally(() => {
+          this.flushing = null;
+          this.scheduleRetry();
+          this.onDidChangeStateEmitter.fire();
+        });
+    }
+    return this.flushing;
+  }
+
+  async sendQueued({ interactive = false }) {
+    if (getSharingLevel() === "off") {
+      this.log("Leaderboard sharing is off, keeping submissions queued");
+      return false;
+    }
+
+    let sent = 0;
+
+    for (;;) {
+      const now = Date.now();
+      const batch = takeBatch(
+        this.getQueue().filter(
+          (entry) => interactive || entry.nextAttemptAt <= now
+        )
+      );
+      if (batch.length === 0) break;
+
+      const keys = batch.map((entry) => entry.key);
+      const result = await this.send(batch);
+
+      if (result.ok) {
+        sent += batch.length;
+        await this.removeEntries(keys);
+        continue;
+      }
+
+      if (!result.retry) {
+        // The server rejected them, sending them again won't help
+        this.log(`Dropping ${batch.length} rejected submission(s)`);
+        await this.removeEntries(keys);
+        if (interactive) {
+          vscode.window.showErrorMessage(
+            `CopyJedi: Failed to submit stats - ${result.error}`
+          );
+        }
+        continue;
+      }
+
+      await this.deferEntries(keys);
+      if (interactive) {
+        vscode.window.showInformationMessage(
+          "CopyJedi: Unable to reach leaderboard server. Your stats will be saved and submitted later."
+        );
+      }
+      return false;
+    }
+
+    if (interactive) {
+      vscode.window.showInformationMessage(
+        sent > 0
+          ? "CopyJedi: Stats submitted successfully to leaderboard!"
+          : "CopyJedi: Leaderboard is already up to date"
+      );
+    }
+    return true;
+  }
+
+  // One POST to the server. Resolves with { ok } or { retry, error }.
+  async send(batch) {
+    const url = `${this.leaderboardClient.apiUrl}${SUBMIT_PATH}`;
+    const { userId } = this.getTotals();
+    const sharing = getSharingLevel();
+
+    let authHeaders;
+    try {
+      authHeaders = await this.leaderboardClient.getAuthHeaders(userId);
+    } catch (error) {
+      this.log(`Leaderboard registration failed: ${error.message}`);
+      this.lastError = error.message;
+      return { ok: false, retry: true, error: error.message };
+    }
+
+    this.log(`Submitting ${batch.length} delta(s) to ${url}`);
+    try {
+      const response = await this.leaderboardClient.fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...authHeaders,
+        },
+        body: JSON.stringify({
+          userId,
+          sharing,
+          // Only a full profile says what it runs on
+          ...(sharing === "full"
+            ? { os: process.platform, vsCodeVersion: vscode.version }
+            : {}),
+          deltas: batch.map(({ key, date, delta }) => ({
+            key,
+            date,
+            ...delta,
+          })),
+        }),
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+
+      if (response.ok) {
+        const { duplicates = [], quarantined = [] } = await response.json();
+        if (duplicates.length > 0) {
+          this.log(`${duplicates.length} delta(s) were already applied`);
+        }
+        if (quarantined.length > 0) {
+          this.log(
+            `${quarantined.length} delta(s) are held for review by the server`
+          );
+        }
+        this.lastSyncAt = Date.now();
+        this.lastError = null;
+        this.leaderboardClient.setOnline(true);
+        return { ok: true };
+      }
+
+      const error = `server returned ${response.status} - ${await response.text()}`;
+      this.log(`Leaderboard submission failed: ${error}`);
+      this.lastError = error;
+      return { ok: false, retry: isRetryableStatus(response.status), error };
+    } catch (error) {
+      this.log(`Leaderboard submission failed: ${error.message}`);
+      this.lastError = error.message;
+      this.leaderboardClient.setOnline(false);
+      return { ok: false, retry: true, error: error.message };
+    }
+  }
+
+  async removeEntries(keys) {
+    await this.updateState((state) => {
+      state.entries = state.entries.filter(
+        (entry) => !keys.includes(entry.key)
+      );
+    });
+  }
+
+  // Push the next attempt back after a failure
+  async deferEntries(keys) {
+    await this.updateState((state) => {
+      for (const entry of state.entries) {
+        if (!keys.includes(entry.key)) continue;
+        entry.attempts++;
+        entry.nextAttemptAt = Date.now() + backoffDelay(entry.attempts);
+      }
+    });
+    this.log(`Retrying ${keys.length} submission(s) later`);
+  }
+
+  // Other windows share the queue file, so it is changed under its lock
+  async updateState(update) {
+    await withFileLock(this.filePath, () => {
+      const state = this.readState();
+      update(state);
+      writeFileAtomic(this.filePath, JSON.stringify(state, null, 2));
+    });
+    this.onDidChangeStateEmitter.fire();
+  }
+
+  // Drop the queue, e.g. for a new identity. The next sync sends the whole
+  // history again.
+  async reset() {
+    await this.updateState((state) => {
+      state.entries = [];
+      state.submitted = null;
+    });
+    this.scheduleRetry();
+  }
+
+  // Wake up when the earliest queued submission is due again
+  scheduleRetry() {
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = null;
+
+    const queue = this.getQueue();
+    if (queue.length === 0 || getSharingLevel() === "off") return;
+
+    const next = Math.min(...queue.map((entry) => entry.nextAttemptAt));
+    this.retryTimeout = setTimeout(
+      () => this.flush(),
+      Math.max(0, next - Date.now())
+    );
+  }
+
+  dispose() {
+    clearTimeout(this.initialSyncTimeout);
+    clearInterval(this.syncTimer);
+    clearTimeout(this.retryTimeout);
+  }
+}
+
+module.exports = SyncEngine;
+// For testing
+module.exports.diffTotals = diffTotals;
+module.exports.takeBatch = takeBatch;
@@ -0,0 +1,33 @@
+const path = require('path');
+const Mocha = require('mocha');
+const glob = require('glob');
+
+// Entry point for the extension host: runs every *.test.js in this folder
+function run() {
+	const mocha = new Mocha({ ui: 'tdd', color: true });
+	const testsRoot = __dirname;
+
+	return new Promise((resolve, reject) => {
+		glob('**/*.test.js', { cwd: testsRoot }, (err, files) => {
+			if (err) {
+				return reject(err);
+			}
+
+			files.forEach((file) => mocha.addFile(path.resolve(testsRoot, file)));
+
+			try {
+				mocha.run((failures) => {
+					if (failures > 0) {
+						reject(new Error(`${failures} tests failed.`));
+					} else {
+						resolve();
+					}
+				});
+			} catch (err) {
+				reject(err);
+			}
+		});
+	});
+}
+
+module.exports = { run };
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const mocha = require('mocha');
+const { suite, test, setup } = mocha;
+const LeaderboardPanel = require('../src/leaderboardPanel');
+
+function entry(id, rank, totalPastes) {
+	return { id, rank, totalPastes, totalLinesPasted: totalPastes * 10 };
+}
+
+suite('LeaderboardPanel.isStale', () => {
+	let panel;
+
+	setup(() => {
+		panel = new LeaderboardPanel({}, {}, () => {});
+		panel.shownEntries = new Map([
+			['a', entry('a', 1, 30)],
+			['b', entry('b', 2, 20)],
+		]);
+	});
+
+	test('ignores standings that match the page', () => {
+		assert.strictEqual(panel.isStale([entry('a', 1, 30), entry('b', 2, 20)]), false);
+	});
+
+	test('notices changed totals of shown rows', () => {
+		assert.strictEqual(panel.isStale([entry('a', 1, 31), entry('b', 2, 20)]), true);
+	});
+
+	test('notices new entries and moves on the first page by pastes', () => {
+		assert.strictEqual(panel.isStale([entry('c', 1, 40), entry('a', 2, 30)]), true);
+		assert.strictEqual(panel.isStale([entry('b', 1, 20), entry('a', 2, 30)]), true);
+	});
+
+	test('ignores rows that are not shown on other pages and sort orders', () => {
+		panel.query = { ...panel.query, sort: 'lastActive' };
+		assert.strictEqual(panel.isStale([entry('c', 1, 40), entry('a', 2, 30)]), false);
+		panel.query = { ...panel.query, sort: 'totalPastes', page: 2 };
+		assert.strictEqual(panel.isStale([entry('c', 1, 40)]), false);
+	});
+
+	test('ignores periods other than all-time', () => {
+		panel.query = { ...panel.query, period: 'week' };
+		assert.strictEqual(panel.isStale([entry('a', 1, 31)]), false);
+	});
+});
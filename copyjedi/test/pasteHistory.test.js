@@ -0,0 +1,48 @@
+const assert = require('assert');
+const mocha = require('mocha');
+const { suite, test } = mocha;
+const PasteHistory = require('../src/pasteHistory');
+
+// A history with the given events in memory, nothing read from disk
+function historyWith(events) {
+	const history = new PasteHistory('/nonexistent', () => {});
+	history.events = events;
+	return history;
+}
+
+suite('PasteHistory day keys', () => {
+	test('dayKey is the local calendar day', () => {
+		assert.strictEqual(PasteHistory.dayKey(new Date(2025, 0, 5, 23, 59)), '2025-01-05');
+		assert.strictEqual(PasteHistory.dayKey(new Date(2025, 11, 31, 0, 0)), '2025-12-31');
+	});
+
+	test('daily roll-up groups pastes by local day', () => {
+		const history = historyWith([
+			{ id: 'a', timestamp: new Date(2025, 4, 14, 9).toISOString(), lineCount: 3 },
+			{ id: 'b', timestamp: new Date(2025, 4, 14, 23).toISOString(), lineCount: 2 },
+			{ id: 'c', timestamp: new Date(2025, 4, 15, 1).toISOString(), lineCount: 1, pastes: 4 },
+		]);
+		const rows = history.aggregate('day');
+		assert.deepStrictEqual(
+			rows.map((row) => [row.period, row.pastes, row.lines]),
+			[
+				['2025-05-14', 2, 5],
+				['2025-05-15', 4, 1],
+			]
+		);
+	});
+
+	test('UTC roll-up groups pastes by UTC day whatever the time zone', () => {
+		const history = historyWith([
+			{ id: 'a', timestamp: '2025-05-14T23:30:00.000Z', lineCount: 3 },
+			{ id: 'b', timestamp: '2025-05-15T00:30:00.000Z', lineCount: 2 },
+		]);
+		assert.deepStrictEqual(
+			history.aggregate('utcDay').map((row) => [row.period, row.pastes]),
+			[
+				['2025-05-14', 1],
+				['2025-05-15', 1],
+			]
+		);
+	});
+});
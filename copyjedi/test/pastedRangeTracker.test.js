@@ -0,0 +1,113 @@
+const assert = require('assert');
+const mocha = require('mocha');
+const { suite, test, setup } = mocha;
+const PastedRangeTracker = require('../src/pastedRangeTracker');
+const { splitInterval, applyChange } = PastedRangeTracker;
+
+function change(rangeOffset, rangeLength, text) {
+	return { rangeOffset, rangeLength, text };
+}
+
+// A pasted block covering [start, end), all of it still intact
+function block(start, end) {
+	return { start, end, intact: [[start, end]] };
+}
+
+suite('splitInterval', () => {
+	test('leaves intervals before the change alone', () => {
+		assert.deepStrictEqual(splitInterval(0, 10, change(10, 0, 'abc')), [[0, 10]]);
+	});
+
+	test('shifts intervals after the change', () => {
+		assert.deepStrictEqual(splitInterval(10, 20, change(0, 2, 'abcde')), [[13, 23]]);
+	});
+
+	test('drops the replaced part and keeps the rest', () => {
+		assert.deepStrictEqual(splitInterval(0, 10, change(4, 2, 'x')), [
+			[0, 4],
+			[5, 9],
+		]);
+	});
+
+	test('drops intervals that were replaced entirely', () => {
+		assert.deepStrictEqual(splitInterval(4, 6, change(0, 10, '')), []);
+	});
+});
+
+suite('applyChange', () => {
+	test('typing right after a block does not extend it', () => {
+		const pasted = block(0, 10);
+		assert.ok(applyChange(pasted, change(10, 0, 'abc')));
+		assert.deepStrictEqual([pasted.start, pasted.end], [0, 10]);
+	});
+
+	test('edits before a block move it', () => {
+		const pasted = block(10, 20);
+		assert.ok(applyChange(pasted, change(0, 0, 'abc')));
+		assert.deepStrictEqual([pasted.start, pasted.end], [13, 23]);
+		assert.deepStrictEqual(pasted.intact, [[13, 23]]);
+	});
+
+	test('edits inside a block become part of it but are not intact', () => {
+		const pasted = block(0, 10);
+		assert.ok(applyChange(pasted, change(2, 3, 'abcdef')));
+		assert.deepStrictEqual([pasted.start, pasted.end], [0, 13]);
+		assert.deepStrictEqual(pasted.intact, [
+			[0, 2],
+			[8, 13],
+		]);
+	});
+
+	test('replacing the beginning of a block trims it', () => {
+		const pasted = block(5, 15);
+		assert.ok(applyChange(pasted, change(0, 10, 'xy')));
+		assert.deepStrictEqual([pasted.start, pasted.end], [2, 7]);
+		assert.deepStrictEqual(pasted.intact, [[2, 7]]);
+	});
+
+	test('replacing the end of a block trims it', () => {
+		const pasted = block(0, 10);
+		assert.ok(applyChange(pasted, change(6, 10, 'xy')));
+		assert.deepStrictEqual([pasted.start, pasted.end], [0, 6]);
+	});
+
+	test('replacing the whole block removes it', () => {
+		assert.strictEqual(applyChange(block(5, 10), change(0, 20, 'new')), false);
+	});
+});
+
+suite('PastedRangeTracker.addPaste', () => {
+	const uri = 'file:///project/a.js';
+	const event = { id: 'paste-1', timestamp: '2026-10-19T12:00:00.000Z' };
+	let tracker;
+	let logged;
+
+	setup(() => {
+		logged = [];
+		const context = { workspaceState: { get: (key, value) => value } };
+		tracker = new PastedRangeTracker(context, (message) => logged.push(message));
+		tracker.blocksChanged = () => {};
+	});
+
+	function paste(version, documentVersion) {
+		return {
+			document: { uri: { toString: () => uri }, version: documentVersion },
+			version,
+			offsets: [[5, 15]],
+		};
+	}
+
+	test('follows the offsets from the version the paste produced', () => {
+		tracker.addPaste(paste(3, 3), event);
+		const [added] = tracker.blocks.get(uri);
+		assert.strictEqual(added.pasteId, 'paste-1');
+		assert.deepStrictEqual([added.start, added.end, added.version], [5, 15, 3]);
+		assert.deepStrictEqual(added.intact, [[5, 15]]);
+	});
+
+	test('leaves pastes reported after later edits alone', () => {
+		tracker.addPaste(paste(3, 4), event);
+		assert.strictEqual(tracker.blocks.get(uri), undefined);
+		assert.strictEqual(logged.length, 1);
+	});
+});
@@ -0,0 +1,20 @@
+const path = require('path');
+
+const { runTests } = require('@vscode/test-electron');
+
+async function main() {
+	try {
+		// The folder containing the extension manifest package.json
+		const extensionDevelopmentPath = path.resolve(__dirname, '../');
+
+		// The test runner loaded inside the extension host
+		const extensionTestsPath = path.resolve(__dirname, './index');
+
+		await runTests({ extensionDevelopmentPath, extensionTestsPath });
+	} catch (err) {
+		console.error('Failed to run tests', err);
+		process.exit(1);
+	}
+}
+
+main();
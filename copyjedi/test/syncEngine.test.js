@@ -0,0 +1,67 @@
+const assert = require('assert');
+const mocha = require('mocha');
+const { suite, test } = mocha;
+const { diffTotals, takeBatch } = require('../src/syncEngine');
+
+suite('diffTotals', () => {
+	test('returns what changed since the last submission', () => {
+		assert.deepStrictEqual(
+			diffTotals({ pastes: 5, lines: 40, typedChars: 100 }, { pastes: 3, lines: 40 }),
+			{
+				pastes: 2,
+				lines: 0,
+				keptPastes: 0,
+				adaptedPastes: 0,
+				pastedChars: 0,
+				typedChars: 100,
+				typedLines: 0,
+			}
+		);
+	});
+
+	test('returns null when nothing changed', () => {
+		assert.strictEqual(diffTotals({ pastes: 3, lines: 40 }, { pastes: 3, lines: 40 }), null);
+		assert.strictEqual(diffTotals({}), null);
+	});
+
+	test('treats a day never submitted as all new', () => {
+		assert.strictEqual(diffTotals({ pastes: 2, lines: 7 }).pastes, 2);
+		assert.strictEqual(diffTotals({ pastes: 2, lines: 7 }).lines, 7);
+	});
+
+	test('keeps negative deltas when a paste was retracted', () => {
+		const delta = diffTotals({ pastes: 1, lines: 10 }, { pastes: 2, lines: 30 });
+		assert.strictEqual(delta.pastes, -1);
+		assert.strictEqual(delta.lines, -20);
+	});
+});
+
+suite('takeBatch', () => {
+	function entries(days, perDay = 1) {
+		const result = [];
+		for (let day = 1; day <= days; day++) {
+			for (let i = 0; i < perDay; i++) {
+				result.push({ key: `${day}-${i}`, date: `2026-01-${String(day).padStart(2, '0')}` });
+			}
+		}
+		return result;
+	}
+
+	test('sends at most ten days at once', () => {
+		const batch = takeBatch(entries(25));
+		assert.strictEqual(batch.length, 10);
+		assert.strictEqual(batch[9].date, '2026-01-10');
+	});
+
+	test('takes later entries for days already in the batch', () => {
+		const queue = [...entries(12), { key: 'late', date: '2026-01-01' }];
+		assert.deepStrictEqual(
+			takeBatch(queue).map((entry) => entry.key).slice(-2),
+			['10-0', 'late']
+		);
+	});
+
+	test('sends at most 100 entries at once', () => {
+		assert.strictEqual(takeBatch(entries(5, 30)).length, 100);
+	});
+});